@@ -0,0 +1,131 @@
+/**
+ * Command line for sora_queue.js: subcommands, flags and --help.
+ *
+ *   node sora_queue.js [command] [--config file] [--prompts file] [--runs n]
+ *                      [--max-concurrent n] [--start-at n] [--force-resubmit]
+ *                      [--set KEY=VALUE ...]
+ *
+ * Flags override environment variables, which override config.json. The settings list in
+ * --help and the effective config printed at startup both come from lib/config.js, so
+ * defaults and ranges stay in one place.
+ */
+
+import { parseArgs } from "util";
+import { describeConfig } from "./config.js";
+
+export const COMMANDS = {
+  run: "Connect to the browser and submit prompts (default)",
+  preflight: "Connect and run the pre-flight tests only",
+  "validate-prompts": "Parse the prompts file and list the prompts; no browser needed",
+  "dry-run": "Show the plan, then fill in each prompt and its settings without clicking Create",
+  status: "Show a running queue's status (control API) or the saved queue state",
+};
+
+// Flag -> config key it sets. Numeric flags are checked here so a typo fails loudly
+// instead of falling back to the default.
+const FLAG_KEYS = {
+  prompts: { key: "PROMPTS_FILE" },
+  runs: { key: "PROMPT_FILE_RUNS", numeric: true },
+  "max-concurrent": { key: "MAX_CONCURRENT", numeric: true },
+  "start-at": { key: "START_AT", numeric: true },
+  "force-resubmit": { key: "FORCE_RESUBMIT" },
+};
+
+/**
+ * Parse argv (without node and the script path). Returns
+ * { command, help, configFile, overrides } or throws on unknown commands/flags.
+ */
+export const parseCli = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string" },
+      prompts: { type: "string" },
+      runs: { type: "string" },
+      "max-concurrent": { type: "string" },
+      "start-at": { type: "string" },
+      "force-resubmit": { type: "boolean" },
+      set: { type: "string", multiple: true },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (positionals.length > 1) throw new Error(`unexpected argument "${positionals[1]}"`);
+  const command = positionals[0] || "run";
+  if (!COMMANDS[command]) {
+    throw new Error(`unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(", ")})`);
+  }
+
+  const overrides = {};
+  for (const [flag, { key, numeric }] of Object.entries(FLAG_KEYS)) {
+    const value = values[flag];
+    if (value === undefined) continue;
+    if (numeric && !Number.isFinite(Number(value))) throw new Error(`--${flag} expects a number, got "${value}"`);
+    overrides[key] = value;
+  }
+  for (const pair of values.set || []) {
+    const eq = pair.indexOf("=");
+    if (eq < 1) throw new Error(`--set expects KEY=VALUE, got "${pair}"`);
+    overrides[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return { command, help: !!values.help, configFile: values.config, overrides };
+};
+
+const formatDefault = (value) => {
+  if (value === null) return "unset";
+  if (value === "") return '""';
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 48 ? `${text.slice(0, 47)}…` : text;
+};
+
+const formatRange = ({ min, max }) => {
+  if (min === -Infinity && max === Infinity) return "";
+  if (max === Infinity) return `>= ${min}`;
+  return `${min}..${max}`;
+};
+
+export const helpText = () => {
+  const settings = describeConfig();
+  const keyWidth = Math.max(...settings.map((s) => s.key.length));
+  const lines = [
+    "Usage: node sora_queue.js [command] [flags]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([name, text]) => `  ${name.padEnd(18)}${text}`),
+    "",
+    "Flags:",
+    "  --config <file>         Config file (default: $CONFIG_FILE or ./config.json)",
+    "  --prompts <file>        Prompts file (PROMPTS_FILE)",
+    "  --runs <n>              Passes over the prompts file (PROMPT_FILE_RUNS)",
+    "  --max-concurrent <n>    Generations kept in flight (MAX_CONCURRENT)",
+    "  --start-at <n>          Start at prompt n of the first pass, ignoring saved state (START_AT)",
+    "  --force-resubmit        Submit prompts the ledger has seen recently (FORCE_RESUBMIT)",
+    "  --set KEY=VALUE         Set any setting below (repeatable)",
+    "  -h, --help              Show this help",
+    "",
+    "Precedence: flags > environment variables > config file > default.",
+    "",
+    "Settings (default, allowed range; numbers outside the range are clamped):",
+    ...settings.map((s) => {
+      const range = s.type === "number" ? formatRange(s) : "";
+      const aliases = s.aliases?.length ? `  (legacy: ${s.aliases.join(", ")})` : "";
+      return `  ${s.key.padEnd(keyWidth)}  ${formatDefault(s.default)}${range ? `  [${range}]` : ""}${aliases}`;
+    }),
+  ];
+  return lines.join("\n");
+};
+
+// Settings whose values are not printed.
+const SECRET_KEYS = ["CONTROL_TOKEN"];
+
+// The resolved settings with where each came from, one per line (printed at startup).
+export const effectiveConfigText = (config) => {
+  const keyWidth = Math.max(...config.effective.map((e) => e.key.length));
+  return [
+    "Effective config (source in brackets):",
+    ...config.effective.map(({ key, value, source }) => {
+      const shown = SECRET_KEYS.includes(key) && value ? "***" : formatDefault(value);
+      return `  ${key.padEnd(keyWidth)}  ${shown}  [${source}]`;
+    }),
+  ].join("\n");
+};
@@ -0,0 +1,639 @@
+/**
+ * Queue configuration.
+ *
+ * resolveConfig(raw) turns a flat object of config.json keys into the settings the queue
+ * runs with: defaults applied, numbers clamped, legacy aliases honoured and the Sora
+ * selectors grouped under `selectors`. loadConfig() builds `raw` the way the CLI always
+ * has: environment variables over config.json (path from CONFIG_FILE), plus overrides.
+ *
+ * Every key is checked against its definition below: unknown keys (typos), values of the
+ * wrong type and values outside a fixed set of choices are errors (thrown together in one
+ * Error); clamped numbers and legacy aliases are warnings. The resolved config carries
+ * `warnings` and `effective` ([{ key, value, source }], source = flag/env/file/default).
+ */
+
+import fs from "fs";
+import path from "path";
+import { PROMPT_FORMATS } from "./prompt_sources.js";
+import { isValidTimeZone, parseSchedule } from "./schedule.js";
+
+// An explicitly named file (argument or CONFIG_FILE) must exist; the default ./config.json
+// is optional. A file that is not a JSON object is an error, never silently ignored.
+export const loadConfigFile = (cfgPath = process.env.CONFIG_FILE) => {
+  const file = cfgPath || path.join(process.cwd(), "config.json"); // default local config
+  if (!fs.existsSync(file)) {
+    if (cfgPath) throw new Error(`Config file ${file} not found`);
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Config file ${file} must contain a JSON object of settings`);
+  }
+  return parsed;
+};
+
+export const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+// Edit distance, for "did you mean" hints on unknown keys.
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = row[j];
+      row[j] = next;
+    }
+  }
+  return row[b.length];
+};
+
+// Settings are read through number()/setting()/flag()/list()/chain() below, which also
+// record each key with its default, clamp range, choices and legacy aliases in `spec`
+// (describeConfig, --help) and collect problems in `report` (resolveConfig).
+function defineConfig(raw, spec, report = { sources: {}, errors: [], warnings: [], effective: [] }) {
+  const fromConfig = (key) => (raw[key] !== undefined ? raw[key] : undefined);
+  const isSet = (key) => {
+    const value = fromConfig(key);
+    return value !== undefined && value !== null && value !== "";
+  };
+  const sourceOf = (key) => (isSet(key) ? report.sources[key] || "config" : "default");
+  const deprecated = (legacyKey, key) =>
+    report.warnings.push(`${legacyKey} is deprecated; use ${key} instead`);
+
+  // Number setting clamped to [min, max]; legacy keys are used when the key itself is unset.
+  const number = (key, fallback, min = -Infinity, max = Infinity, aliases = []) => {
+    spec.push({ key, type: "number", default: fallback, min, max, aliases });
+    const used = [key, ...aliases].find(isSet);
+    if (used && used !== key) deprecated(used, key);
+    let value = fallback;
+    if (used) {
+      const num = Number(fromConfig(used));
+      if (Number.isFinite(num)) value = num;
+      else report.errors.push(`${used} must be a number (got ${JSON.stringify(fromConfig(used))})`);
+    }
+    const result = value === null ? null : clamp(value, min, max);
+    if (result !== value) {
+      report.warnings.push(`${used || key}=${value} is outside ${min}..${max}; using ${result}`);
+    }
+    report.effective.push({ key, value: result, source: used ? sourceOf(used) : "default" });
+    return result;
+  };
+
+  // String setting. `choices` limits the (case-insensitive) values; `legacyFor` marks a
+  // deprecated key that is still honoured for the named replacement.
+  const setting = (key, fallback, { choices, legacyFor } = {}) => {
+    spec.push({ key, type: "string", default: fallback, ...(choices ? { choices } : {}), ...(legacyFor ? { legacyFor } : {}) });
+    const value = fromConfig(key);
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      report.errors.push(`${key} must be a string (got ${JSON.stringify(value)})`);
+    } else if (choices && isSet(key) && !choices.includes(value.toLowerCase().trim())) {
+      report.errors.push(`${key} must be one of ${choices.join(", ")} (got "${value}")`);
+    }
+    if (legacyFor && isSet(key)) deprecated(key, legacyFor);
+    const result = (typeof value === "string" && value) || fallback;
+    if (!legacyFor) report.effective.push({ key, value: result, source: sourceOf(key) });
+    return result;
+  };
+
+  // Settings that accept "/regex/flags" must hold a valid one.
+  const checkRegex = (key, text) => {
+    const m = /^\/(.+)\/([a-z]*)$/.exec(text);
+    if (!m) return;
+    try {
+      new RegExp(m[1], m[2]);
+    } catch (err) {
+      report.errors.push(`${key} is not a valid regex: ${err.message}`);
+    }
+  };
+
+  // Boolean setting: true/false in config.json, "true"/"false"/"1"/"0" in the environment or a flag.
+  const flag = (key, fallback) => {
+    spec.push({ key, type: "boolean", default: fallback });
+    const value = fromConfig(key);
+    let result = fallback;
+    if (typeof value === "boolean") result = value;
+    else if (isSet(key)) {
+      const text = String(value).toLowerCase().trim();
+      if (["true", "1", "yes"].includes(text)) result = true;
+      else if (["false", "0", "no"].includes(text)) result = false;
+      else report.errors.push(`${key} must be true or false (got ${JSON.stringify(value)})`);
+    }
+    report.effective.push({ key, value: result, source: sourceOf(key) });
+    return result;
+  };
+
+  // JSON list setting: an array in config.json, JSON text in the environment or a flag.
+  const list = (key, fallback) => {
+    spec.push({ key, type: "list", default: fallback });
+    let value = fromConfig(key);
+    if (typeof value === "string" && value.trim()) {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        report.errors.push(`${key} is not valid JSON: ${err.message}`);
+        value = undefined;
+      }
+    }
+    if (isSet(key) && value !== undefined && !Array.isArray(value)) {
+      report.errors.push(`${key} must be a JSON array (got ${JSON.stringify(value)})`);
+      value = undefined;
+    }
+    const result = Array.isArray(value) ? value : fallback;
+    report.effective.push({ key, value: result, source: sourceOf(key) });
+    return result;
+  };
+
+  // Selector chain: ordered fallback selectors, tried one by one (see lib/selector_packs.js).
+  // One selector as a string, or a list (an array in config.json, JSON text in the
+  // environment or a flag). Always returned as a list; [] = none.
+  const chain = (key, fallback) => {
+    spec.push({ key, type: "chain", default: fallback });
+    let value = fromConfig(key);
+    if (typeof value === "string" && value.trim().startsWith("[")) {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        report.errors.push(`${key} is not valid JSON: ${err.message}`);
+        value = undefined;
+      }
+    }
+    if (typeof value === "string") value = [value];
+    if (isSet(key) && value !== undefined && !(Array.isArray(value) && value.every((s) => typeof s === "string"))) {
+      report.errors.push(`${key} must be a selector or a list of selectors (got ${JSON.stringify(fromConfig(key))})`);
+      value = undefined;
+    }
+    const result = isSet(key) && Array.isArray(value) ? value.map((s) => s.trim()).filter(Boolean) : fallback;
+    report.effective.push({ key, value: result, source: sourceOf(key) });
+    return result;
+  };
+
+  // Browser:
+  // - "attach": connect over CDP to a browser you started (Arc with --remote-debugging-port)
+  // - "launch": start Playwright's Chromium with a persistent profile (BROWSER_PROFILE_DIR),
+  //   so logins survive restarts; works on a Linux server. Closed again on exit.
+  const BROWSER_MODE = setting("BROWSER_MODE", "attach", { choices: ["attach", "launch"] }).toLowerCase().trim();
+
+  // Remote debugging URL for Arc. Must match the port used when launching Arc.
+  const DEBUG_WS = setting("DEBUG_WS", "http://localhost:9222");
+
+  // Launch mode: user-data directory (cookies, login), headless or not, a different Chromium
+  // build ("" = Playwright's), and extra command line switches, e.g. ["--no-sandbox"].
+  const BROWSER_PROFILE_DIR = setting("BROWSER_PROFILE_DIR", "sora_profile");
+  const BROWSER_HEADLESS = flag("BROWSER_HEADLESS", false);
+  const BROWSER_EXECUTABLE = setting("BROWSER_EXECUTABLE", "");
+  const BROWSER_ARGS = list("BROWSER_ARGS", []);
+
+  // Which tab is the Sora tab. Empty filters: the first tab on the Sora host.
+  // - SORA_TAB_URL: text the tab URL contains, or a /regex/
+  // - SORA_TAB_TITLE: text the tab title contains
+  // - SORA_TAB_INDEX: pick the n-th (0-based) of the matching tabs; -1 = the first
+  // When no tab matches, SORA_OPEN_TAB opens one: "drafts" (SORA_DRAFTS_URL), "composer"
+  // (the site root) or "auto" (composer when SORA_UI_MODE is "old", else drafts); "off" fails.
+  const SORA_TAB_URL = setting("SORA_TAB_URL", "");
+  checkRegex("SORA_TAB_URL", SORA_TAB_URL);
+  const SORA_TAB_TITLE = setting("SORA_TAB_TITLE", "");
+  const SORA_TAB_INDEX = number("SORA_TAB_INDEX", -1, -1, 100);
+  const SORA_OPEN_TAB = setting("SORA_OPEN_TAB", "auto", { choices: ["auto", "drafts", "composer", "off"] })
+    .toLowerCase()
+    .trim();
+
+  // Target number of in-flight generations to maintain (Sora caps at 3).
+  // Preferred: MAX_CONCURRENT. Legacy alias: TARGET_IN_FLIGHT.
+  const MAX_CONCURRENT = number("MAX_CONCURRENT", 3, 1, 3, ["TARGET_IN_FLIGHT"]);
+
+  // Browser endpoints to spread one queue over, one per Sora account (each profile on its
+  // own remote debugging port, or its own profileDir in launch mode). Each worker has its own
+  // concurrency (default MAX_CONCURRENT) and its own 429 backoff; every prompt is submitted
+  // through exactly one of them. `account` names the Sora account for the quotas (default: name).
+  //   "WORKERS": [{ "name": "alice", "debugWs": "http://localhost:9222", "maxConcurrent": 3 }, ...]
+  // Empty: a single worker ("main") on DEBUG_WS / BROWSER_PROFILE_DIR.
+  const endpointField = BROWSER_MODE === "launch" ? "profileDir" : "debugWs";
+  const WORKERS = (() => {
+    const items = list("WORKERS", []);
+    if (!items.length) {
+      return [
+        { name: "main", account: "main", debugWs: DEBUG_WS, profileDir: BROWSER_PROFILE_DIR, maxConcurrent: MAX_CONCURRENT },
+      ];
+    }
+    const workers = [];
+    items.forEach((item, i) => {
+      const where = `WORKERS[${i}]`;
+      if (!item || typeof item !== "object" || typeof item[endpointField] !== "string" || !item[endpointField]) {
+        report.errors.push(`${where} needs a "${endpointField}" ${endpointField === "debugWs" ? "URL" : "directory"}`);
+        return;
+      }
+      const unknown = Object.keys(item).filter((k) => !["name", "account", "debugWs", "profileDir", "maxConcurrent"].includes(k));
+      if (unknown.length) report.errors.push(`${where} has unknown field(s): ${unknown.join(", ")}`);
+      const max = item.maxConcurrent === undefined ? MAX_CONCURRENT : Number(item.maxConcurrent);
+      if (!Number.isFinite(max)) {
+        report.errors.push(`${where}.maxConcurrent must be a number (got ${JSON.stringify(item.maxConcurrent)})`);
+        return;
+      }
+      const maxConcurrent = clamp(max, 1, 3);
+      if (maxConcurrent !== max) report.warnings.push(`${where}.maxConcurrent=${max} is outside 1..3; using ${maxConcurrent}`);
+      const name = String(item.name || `worker${i + 1}`);
+      workers.push({
+        name,
+        account: String(item.account || name),
+        debugWs: item.debugWs || null,
+        profileDir: item.profileDir || null,
+        maxConcurrent,
+      });
+    });
+    for (const field of ["name", endpointField]) {
+      const seen = new Set();
+      for (const w of workers) {
+        if (seen.has(w[field])) report.errors.push(`WORKERS: ${field} "${w[field]}" is used twice`);
+        seen.add(w[field]);
+      }
+    }
+    return workers;
+  })();
+
+  // Polling interval (ms) when all slots are busy.
+  const POLL_MS = number("POLL_MS", 5000, 250, 30000);
+
+  // Minimum gap between submissions to avoid rate limits.
+  const MIN_SUBMIT_INTERVAL_MS = number("MIN_SUBMIT_INTERVAL_MS", 12000, 500, 60000);
+
+  // Cooldown after 429 or similar errors. A Retry-After (or similar) hint from the server wins;
+  // otherwise consecutive 429s multiply it by BACKOFF_429_FACTOR (up to BACKOFF_429_MAX_MS),
+  // +/- BACKOFF_429_JITTER. BACKOFF_429_RESET_AFTER successes in a row reset the escalation.
+  const BACKOFF_429_MS = number("BACKOFF_429_MS", 60000, 1000, 300000);
+  const BACKOFF_429_MAX_MS = number("BACKOFF_429_MAX_MS", 900000, 1000, 3600000);
+  const BACKOFF_429_FACTOR = number("BACKOFF_429_FACTOR", 2, 1, 10);
+  const BACKOFF_429_JITTER = number("BACKOFF_429_JITTER", 0.2, 0, 1);
+  const BACKOFF_429_RESET_AFTER = number("BACKOFF_429_RESET_AFTER", 3, 1, 100);
+  // While 429s keep coming, MIN_SUBMIT_INTERVAL_MS widens up to this (relaxing again after
+  // successes). Set it to MIN_SUBMIT_INTERVAL_MS to keep the interval fixed.
+  const MIN_SUBMIT_INTERVAL_MAX_MS = number("MIN_SUBMIT_INTERVAL_MAX_MS", 120000, 500, 3600000);
+
+  // How many times to run the entire prompts file.
+  // Example: 10 prompts + PROMPT_FILE_RUNS=2 => 20 total submissions.
+  // null => run forever.
+  // New name: PROMPT_FILE_RUNS. Legacy: MAX_SUBMITS.
+  const PROMPT_FILE_RUNS = number("PROMPT_FILE_RUNS", null, 0, Infinity, ["MAX_SUBMITS"]);
+
+  // Submission quotas (0 = no limit). Hourly and daily counts are per account and kept in
+  // QUOTA_FILE, so they carry over between runs and between processes sharing the file; a
+  // worker at its limit waits for the window to reset. QUOTA_PER_RUN caps the confirmed
+  // submits of this process and ends the run when reached.
+  // QUOTA_WINDOW: "rolling" (last 60 min / 24 h) or "calendar" (this clock hour / day in
+  // SCHEDULE_TIMEZONE).
+  const QUOTA_PER_HOUR = number("QUOTA_PER_HOUR", 0, 0, 100000);
+  const QUOTA_PER_DAY = number("QUOTA_PER_DAY", 0, 0, 1000000);
+  const QUOTA_PER_RUN = number("QUOTA_PER_RUN", 0, 0, 1000000);
+  const QUOTA_WINDOW = setting("QUOTA_WINDOW", "rolling", { choices: ["rolling", "calendar"] }).toLowerCase();
+  const QUOTA_FILE = setting("QUOTA_FILE", "sora_quota.json");
+  // Submit schedule (lib/schedule.js): windows like "Mon-Fri 01:00-07:00" in SCHEDULE_TIMEZONE
+  // ("" = local). Outside them the queue stays connected but submits nothing. Empty = always.
+  // SCHEDULE_DRAIN_MINUTES stops new submits that long before a window closes.
+  const SCHEDULE = list("SCHEDULE", []);
+  const SCHEDULE_TIMEZONE = setting("SCHEDULE_TIMEZONE", "");
+  const SCHEDULE_DRAIN_MINUTES = number("SCHEDULE_DRAIN_MINUTES", 0, 0, 1440);
+  if (!SCHEDULE.every((w) => typeof w === "string")) {
+    report.errors.push("SCHEDULE must be a list of windows like \"Mon-Fri 01:00-07:00\"");
+  } else {
+    try {
+      parseSchedule(SCHEDULE);
+    } catch (err) {
+      report.errors.push(`SCHEDULE: ${err.message}`);
+    }
+  }
+  if (!isValidTimeZone(SCHEDULE_TIMEZONE)) {
+    report.errors.push(`SCHEDULE_TIMEZONE "${SCHEDULE_TIMEZONE}" is not a known time zone (e.g. "Europe/Berlin")`);
+  }
+
+  if (QUOTA_PER_HOUR && QUOTA_PER_DAY && QUOTA_PER_DAY < QUOTA_PER_HOUR) {
+    report.warnings.push(
+      `QUOTA_PER_DAY=${QUOTA_PER_DAY} is below QUOTA_PER_HOUR=${QUOTA_PER_HOUR}; the hourly limit is never reached`
+    );
+  }
+
+  // Logging
+  const LOG_FILE = setting("LOG_FILE", null);
+  // Machine-readable event stream (JSONL, one event per line). null => disabled.
+  const EVENT_LOG_FILE = setting("EVENT_LOG_FILE", null);
+
+  // Tunables (timeouts / delays)
+  const FILL_TIMEOUT_MS = number("FILL_TIMEOUT_MS", 30000, 1000, 120000);
+  const CLICK_TIMEOUT_MS = number("CLICK_TIMEOUT_MS", 10000, 1000, 120000);
+  const VISIBLE_TIMEOUT_MS = number("VISIBLE_TIMEOUT_MS", 5000, 500, 60000);
+  const GEN_REQUEST_TIMEOUT_MS = number("GEN_REQUEST_TIMEOUT_MS", 20000, 1000, 120000);
+  const GEN_RESPONSE_TIMEOUT_MS = number("GEN_RESPONSE_TIMEOUT_MS", 20000, 1000, 120000);
+  const AFTER_SUBMIT_WAIT_MS = number("AFTER_SUBMIT_WAIT_MS", 2000, 0, 60000);
+
+  // Emit a periodic heartbeat so it's obvious when we're waiting due to capacity/backoff/etc.
+  const STATUS_LOG_EVERY_MS = number("STATUS_LOG_EVERY_MS", 30000, 0, 300000);
+
+  // Drafts spinner in-progress detection can undercount (e.g., virtualization / not all tiles show spinners).
+  // This margin is added to the spinner count and capped at MAX_CONCURRENT to prevent oversubmitting.
+  const DRAFTS_SPINNER_SAFETY_MARGIN = number("DRAFTS_SPINNER_SAFETY_MARGIN", 1, 0, 3);
+
+  // In drafts mode, only check the most recent N tiles (default: MAX_CONCURRENT) to infer in-progress.
+  const DRAFTS_RECENT_CHECK_COUNT = number("DRAFTS_RECENT_CHECK_COUNT", MAX_CONCURRENT, 1, 12);
+
+  // Sora UI mode:
+  // - "auto": detect which Sora UI is currently in use (default)
+  // - "old": classic UI with activity counter + legacy settings
+  // - "new": drafts-based UI with spinner counting + orientation/duration settings menu
+  //
+  // NOTE: IN_PROGRESS_MODE is kept as a legacy alias. If SORA_UI_MODE is not set:
+  // - IN_PROGRESS_MODE="activity" => SORA_UI_MODE="old"
+  // - IN_PROGRESS_MODE="drafts"  => SORA_UI_MODE="new"
+  const LEGACY_IN_PROGRESS_MODE = setting("IN_PROGRESS_MODE", "auto", {
+    choices: ["auto", "activity", "drafts"],
+    legacyFor: "SORA_UI_MODE",
+  })
+    .toString()
+    .toLowerCase();
+  const SORA_UI_MODE = (() => {
+    const mode = setting("SORA_UI_MODE", "auto", { choices: ["auto", "old", "new"] }).toString().toLowerCase().trim();
+    if (fromConfig("SORA_UI_MODE")) return mode;
+    if (LEGACY_IN_PROGRESS_MODE === "activity") return "old";
+    if (LEGACY_IN_PROGRESS_MODE === "drafts") return "new";
+    return "auto";
+  })();
+
+  // Prompt parsing:
+  // - "full": if an item is an object, stringify the entire object and submit it.
+  // - "prompt": if an item is an object with {prompt: string}, submit only that field.
+  const PROMPT_OBJECT_MODE =
+    setting("PROMPT_OBJECT_MODE", "full", { choices: ["full", "prompt"] }).toString().toLowerCase();
+
+  // Prompt lint (lib/prompt_lint.js), run in preflight, validate-prompts and on hot reload:
+  // "warn" reports problems, "block" also fails preflight and rejects a reload, "off" skips it.
+  const PROMPT_LINT = setting("PROMPT_LINT", "warn", { choices: ["warn", "block", "off"] }).toLowerCase().trim();
+  // Longest submitted text, in characters after JSON.stringify of object prompts (0 = no limit).
+  const PROMPT_MAX_LENGTH = number("PROMPT_MAX_LENGTH", 4000, 0, 1000000);
+  // Word-pair overlap (0..1) from which two prompts count as near duplicates (0 = exact/normalized only).
+  const PROMPT_NEAR_DUPLICATE = number("PROMPT_NEAR_DUPLICATE", 0.9, 0, 1);
+  // Terms no prompt may contain: whole words/phrases (case-insensitive) or "/regex/flags".
+  const PROMPT_BANNED_TERMS = list("PROMPT_BANNED_TERMS", []);
+  PROMPT_BANNED_TERMS.forEach((term, i) => {
+    if (typeof term !== "string" || !term.trim()) {
+      report.errors.push(`PROMPT_BANNED_TERMS[${i}] must be a non-empty string`);
+    } else {
+      checkRegex(`PROMPT_BANNED_TERMS[${i}]`, term);
+    }
+  });
+
+  // Resume state: the queue position is written to STATE_FILE after every confirmed submit.
+  // RESUME_MODE controls what happens on startup when a matching state file exists:
+  // - "auto": resume from the saved prompt/run (default)
+  // - "ask": ask on stdin before resuming (behaves like "auto" without a TTY)
+  // - "off": ignore saved state and start at prompt 1 (state is still written)
+  const STATE_FILE = setting("STATE_FILE", "sora_state.json");
+  const RESUME_MODE = setting("RESUME_MODE", "auto", { choices: ["auto", "ask", "off"] }).toString().toLowerCase();
+  // Start at this prompt (1-based) on the first run, ignoring any saved state. 0 = resume as above.
+  const START_AT = number("START_AT", 0, 0, Infinity);
+
+  // Generation tracking: every confirmed submit is followed (via backend responses and the
+  // drafts grid) until it succeeds or fails; one record per submission is kept in TRACK_FILE.
+  const TRACK_FILE = setting("TRACK_FILE", "sora_generations.json");
+  // Mark a generation failed if it has not finished after this long.
+  const TRACK_TIMEOUT_MS = number("TRACK_TIMEOUT_MS", 1800000, 60000, 21600000);
+
+  // Retry policy for prompts that fail to submit (429s are handled by the backoff and don't count).
+  // A prompt gets 1 + MAX_SUBMIT_RETRIES attempts, waiting RETRY_BACKOFF_MS * 2^(n-1) between them
+  // (capped at RETRY_BACKOFF_MAX_MS); after that it is written to DEAD_LETTER_FILE and skipped.
+  const MAX_SUBMIT_RETRIES = number("MAX_SUBMIT_RETRIES", 3, 0, 100);
+  const RETRY_BACKOFF_MS = number("RETRY_BACKOFF_MS", 10000, 1000, 600000);
+  const RETRY_BACKOFF_MAX_MS = number("RETRY_BACKOFF_MAX_MS", 300000, 1000, 3600000);
+  const DEAD_LETTER_FILE = setting("DEAD_LETTER_FILE", "sora_dead_letter.jsonl");
+
+  // Submit ledger (lib/ledger.js): every confirmed submit is appended to DEDUP_LEDGER_FILE
+  // ("" = no ledger). A file prompt already submitted with the same settings by an earlier
+  // batch within DEDUP_LOOKBACK_HOURS is skipped (0 = record only). FORCE_RESUBMIT submits
+  // it anyway.
+  const DEDUP_LEDGER_FILE = setting("DEDUP_LEDGER_FILE", "sora_ledger.jsonl");
+  const DEDUP_LOOKBACK_HOURS = number("DEDUP_LOOKBACK_HOURS", 168, 0, 87600);
+  const FORCE_RESUBMIT = flag("FORCE_RESUBMIT", false);
+
+  // Downloader: when DOWNLOAD_DIR is set, finished drafts from this run are saved there with a
+  // JSON sidecar (prompt, settings, timestamps). Empty/unset disables downloading.
+  const DOWNLOAD_DIR = setting("DOWNLOAD_DIR", "");
+  // How often to scan the drafts grid for finished tiles.
+  const DOWNLOAD_POLL_MS = number("DOWNLOAD_POLL_MS", 30000, 5000, 600000);
+  // How many of the most recent drafts tiles to inspect per scan.
+  const DOWNLOAD_SCAN_COUNT = number("DOWNLOAD_SCAN_COUNT", 12, 1, 50);
+  // After the last submit, keep waiting up to this long for pending generations to download (0 = don't wait).
+  const DOWNLOAD_DRAIN_MS = number("DOWNLOAD_DRAIN_MS", 0, 0, 3600000);
+
+  // Dry run (`sora_queue.js dry-run`): one screenshot per prepared prompt plus report.json go here.
+  const DRY_RUN_DIR = setting("DRY_RUN_DIR", "sora_dry_run");
+
+  // Local HTTP control API (status, pause/resume, skip, enqueue, stop). 0/unset disables it.
+  // Binds to CONTROL_HOST (localhost by default); set CONTROL_TOKEN to require a bearer token.
+  const CONTROL_PORT = number("CONTROL_PORT", 0, 0, 65535);
+  const CONTROL_HOST = setting("CONTROL_HOST", "127.0.0.1");
+  const CONTROL_TOKEN = setting("CONTROL_TOKEN", "");
+
+  // Selector packs (selector_packs/*.json, see lib/selector_packs.js): versioned selector
+  // sets with fallback chains. "auto" picks the pack that matches the live page at startup,
+  // a pack name pins one, "off" uses only the selectors below. A SORA_* selector set in
+  // config/env/flags always wins over the pack. SELECTOR_PACKS_DIR adds packs of your own.
+  const SELECTOR_PACK = setting("SELECTOR_PACK", "auto").trim();
+  const SELECTOR_PACKS_DIR = setting("SELECTOR_PACKS_DIR", "");
+
+  // CSS selectors for Sora UI, used for elements no selector pack covers (or with
+  // SELECTOR_PACK "off"). Update these to real selectors from the page. Elements are
+  // selector chains (see chain() above); the rest are labels and URLs.
+  const selectors = {
+    // Element that displays "X/3" or similar for in-progress jobs. If unavailable,
+    // we fall back to checking whether the submit button is disabled.
+    inProgressCount:
+      chain("SORA_IN_PROGRESS", ["CSS_SELECTOR_FOR_IN_PROGRESS_COUNT"]),
+    // Prompt text area/input where the cinematic prompt goes.
+    promptTextarea:
+      chain("SORA_PROMPT", ["textarea.flex.w-full.rounded-md.text-sm.placeholder\\:text-token-text-secondary.focus-visible\\:outline-none.disabled\\:cursor-not-allowed.disabled\\:opacity-50.\\!overflow-x-hidden.tablet\\:max-h-\\[80vh\\].bg-transparent.px-2.py-3.max-tablet\\:flex-1"]),
+    // Button that triggers submission (Create video).
+    submitButton:
+      chain("SORA_SUBMIT", ['button:has-text("Create video")', 'button:has(span.sr-only:has-text("Create video"))']),
+  // Loading overlay/spinner shown while videos are in progress.
+  loadingOverlay:
+      chain("SORA_LOADING", ["div.flex.h-full.w-full.items-center.justify-center.bg-token-bg-secondary svg.animate-spin"]),
+    // Quick-pick buttons for aspect, resolution, duration, variations (selected by text).
+    aspectChoice: setting("SORA_ASPECT", ""),
+    resolutionChoice: setting("SORA_RESOLUTION", ""),
+    durationChoice: setting("SORA_DURATION", ""),
+    variationsChoice: setting("SORA_VARIATIONS", ""),
+    variationsButton: chain("SORA_VARIATIONS_BUTTON", []),
+    variationsOption: chain("SORA_VARIATIONS_OPTION", []),
+    modeChoice: setting("SORA_MODE", ""),
+    // Alternate "drafts" UI (no activity counter): count in-progress tiles via spinner overlay.
+    draftsUrl: setting("SORA_DRAFTS_URL", "https://sora.chatgpt.com/drafts"),
+    draftsInProgressSpinner:
+      chain("SORA_DRAFTS_IN_PROGRESS", ["div.absolute.inset-0.grid.place-items-center"]),
+    // Container that holds the drafts grid/virtualized list. Can be a CSS selector or an XPath selector (prefix with "xpath=").
+    draftsGrid:
+      chain("SORA_DRAFTS_GRID", ["xpath=/html/body/main/div[3]/div[1]/div/div/div/div/div[2]/div/div[1]"]),
+    // Media element inside a finished drafts tile (downloader). The first match's src is saved.
+    draftsMedia: chain("SORA_DRAFTS_MEDIA", ["video", "img"]),
+
+    // New video settings menu (radix dropdown):
+    // - A trigger button (typically a sliders/adjustments icon).
+    // - Menu content uses [data-radix-menu-content][role="menu"] and items use role="menuitem*" / "menuitemradio".
+    settingsTrigger: chain("SORA_SETTINGS_TRIGGER", []),
+    settingsMenu: chain("SORA_SETTINGS_MENU", ["div[data-radix-menu-content][role='menu']"]),
+    orientationChoice: setting("SORA_ORIENTATION", ""),
+
+    // Media attachments (a prompt's `media` files, see lib/prompts.js):
+    // - the composer's upload control: a file input, or a button that opens a file chooser;
+    // - a thumbnail per attached file;
+    // - an indicator shown while an upload is still running ([] = only wait for thumbnails).
+    mediaUpload: chain("SORA_MEDIA_UPLOAD", ["input[type='file']"]),
+    mediaPreview: chain("SORA_MEDIA_PREVIEW", ["img[src^='blob:']", "video[src^='blob:']"]),
+    mediaUploading: chain("SORA_MEDIA_UPLOADING", []),
+  };
+  // How long to wait for a prompt's media uploads to show their thumbnails.
+  const MEDIA_UPLOAD_TIMEOUT_MS = number("MEDIA_UPLOAD_TIMEOUT_MS", 60000, 5000, 600000);
+
+  // Queue of prompts to submit (add more if desired). The script will cycle
+  // through this list repeatedly to keep 3 in-flight jobs while running.
+  const PROMPTS_FILE =
+    setting("PROMPTS_FILE", path.join(process.cwd(), "prompts.json"));
+
+  // Prompts file format: "auto" (by extension: .json, .jsonl/.ndjson, .csv, .tsv, .txt/.md),
+  // or one of "json", "jsonl", "csv", "tsv", "text".
+  const PROMPTS_FORMAT = setting("PROMPTS_FORMAT", "auto", { choices: ["auto", ...PROMPT_FORMATS] }).toString().toLowerCase();
+
+  // Text format: a line containing only this string separates two prompts.
+  const PROMPTS_TEXT_DELIMITER = setting("PROMPTS_TEXT_DELIMITER", "---").toString();
+
+  return {
+    BROWSER_MODE,
+    DEBUG_WS,
+    BROWSER_PROFILE_DIR,
+    BROWSER_HEADLESS,
+    BROWSER_EXECUTABLE,
+    BROWSER_ARGS,
+    SORA_TAB_URL,
+    SORA_TAB_TITLE,
+    SORA_TAB_INDEX,
+    SORA_OPEN_TAB,
+    MAX_CONCURRENT,
+    WORKERS,
+    POLL_MS,
+    MIN_SUBMIT_INTERVAL_MS,
+    MIN_SUBMIT_INTERVAL_MAX_MS,
+    BACKOFF_429_MS,
+    BACKOFF_429_MAX_MS,
+    BACKOFF_429_FACTOR,
+    BACKOFF_429_JITTER,
+    BACKOFF_429_RESET_AFTER,
+    PROMPT_FILE_RUNS,
+    QUOTA_PER_HOUR,
+    QUOTA_PER_DAY,
+    QUOTA_PER_RUN,
+    QUOTA_WINDOW,
+    QUOTA_FILE,
+    SCHEDULE,
+    SCHEDULE_TIMEZONE,
+    SCHEDULE_DRAIN_MINUTES,
+    LOG_FILE,
+    EVENT_LOG_FILE,
+    FILL_TIMEOUT_MS,
+    CLICK_TIMEOUT_MS,
+    VISIBLE_TIMEOUT_MS,
+    GEN_REQUEST_TIMEOUT_MS,
+    GEN_RESPONSE_TIMEOUT_MS,
+    AFTER_SUBMIT_WAIT_MS,
+    STATUS_LOG_EVERY_MS,
+    DRAFTS_SPINNER_SAFETY_MARGIN,
+    DRAFTS_RECENT_CHECK_COUNT,
+    SORA_UI_MODE,
+    PROMPT_OBJECT_MODE,
+    PROMPT_LINT,
+    PROMPT_MAX_LENGTH,
+    PROMPT_NEAR_DUPLICATE,
+    PROMPT_BANNED_TERMS,
+    STATE_FILE,
+    RESUME_MODE,
+    START_AT,
+    TRACK_FILE,
+    TRACK_TIMEOUT_MS,
+    MAX_SUBMIT_RETRIES,
+    RETRY_BACKOFF_MS,
+    RETRY_BACKOFF_MAX_MS,
+    DEAD_LETTER_FILE,
+    DEDUP_LEDGER_FILE,
+    DEDUP_LOOKBACK_HOURS,
+    FORCE_RESUBMIT,
+    DOWNLOAD_DIR,
+    DOWNLOAD_POLL_MS,
+    DOWNLOAD_SCAN_COUNT,
+    DOWNLOAD_DRAIN_MS,
+    DRY_RUN_DIR,
+    SELECTOR_PACK,
+    SELECTOR_PACKS_DIR,
+    CONTROL_PORT,
+    CONTROL_HOST,
+    CONTROL_TOKEN,
+    selectors,
+    MEDIA_UPLOAD_TIMEOUT_MS,
+    PROMPTS_FILE,
+    PROMPTS_FORMAT,
+    PROMPTS_TEXT_DELIMITER,
+  };
+}
+
+/**
+ * Resolve a flat object of settings. `sources` maps keys to where they came from (for
+ * `effective`). Throws one Error listing every invalid or unknown key.
+ */
+export const resolveConfig = (raw = {}, { sources = {} } = {}) => {
+  const spec = [];
+  const report = { sources, errors: [], warnings: [], effective: [] };
+  const config = defineConfig(raw, spec, report);
+
+  const known = spec.flatMap((s) => [s.key, ...(s.aliases || [])]);
+  for (const key of Object.keys(raw)) {
+    if (known.includes(key)) continue;
+    const closest = known.reduce(
+      (best, k) => {
+        const d = editDistance(key.toUpperCase(), k);
+        return d < best.d ? { k, d } : best;
+      },
+      { k: null, d: 4 }
+    ).k;
+    report.errors.push(
+      `Unknown setting ${key}${sources[key] ? ` (${sources[key]})` : ""}${closest ? `; did you mean ${closest}?` : ""}`
+    );
+  }
+  if (report.errors.length) {
+    throw new Error(`Invalid configuration:\n- ${report.errors.join("\n- ")}`);
+  }
+  return { ...config, warnings: report.warnings, effective: report.effective };
+};
+
+// Every setting with its default and clamp range, in definition order:
+// [{ key, type: "number" | "string" | "boolean" | "list", default, min?, max?, aliases?, choices?, legacyFor? }]
+export const describeConfig = () => {
+  const spec = [];
+  defineConfig({}, spec);
+  return spec;
+};
+
+// Known keys (including legacy aliases), to pick settings out of the environment.
+const knownKeys = () => new Set(describeConfig().flatMap((s) => [s.key, ...(s.aliases || [])]));
+
+// Environment variables win over config.json; `overrides` win over both. Only environment
+// variables named like a setting are read (the rest of the environment is not config).
+export const loadConfig = ({ configFile, env = process.env, overrides = {} } = {}) => {
+  const file = loadConfigFile(configFile);
+  const known = knownKeys();
+  const fromEnv = Object.fromEntries(Object.entries(env).filter(([k]) => known.has(k)));
+  const sources = {};
+  for (const k of Object.keys(file)) sources[k] = "file";
+  for (const k of Object.keys(fromEnv)) sources[k] = "env";
+  for (const k of Object.keys(overrides)) sources[k] = "flag";
+  return resolveConfig({ ...file, ...fromEnv, ...overrides }, { sources });
+};
@@ -0,0 +1,105 @@
+/**
+ * Local HTTP control API for a running queue.
+ *
+ *   GET  /status                      -> queue status (see the handlers' status())
+ *   POST /pause | /resume | /skip | /stop
+ *   POST /enqueue                     -> body: a prompt item, an array of items, or
+ *                                        { "prompts": [...], "position": "front" | "back" }
+ *
+ * Binds to localhost by default. When a token is configured every request must send
+ * "Authorization: Bearer <token>". The server only translates HTTP into handler calls;
+ * the main loop owns all queue state.
+ */
+
+import http from "http";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`body larger than ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+
+/**
+ * Start the server. `handlers` provides status(), pause(), resume(), skip(), stop() and
+ * enqueue(items, position); each returns a JSON-serializable result (enqueue may throw
+ * to reject bad prompts). Resolves with the http.Server once listening.
+ */
+export function startControlServer({ host = "127.0.0.1", port, token = "", handlers }) {
+  const actions = {
+    "POST /pause": () => handlers.pause(),
+    "POST /resume": () => handlers.resume(),
+    "POST /skip": () => handlers.skip(),
+    "POST /stop": () => handlers.stop(),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        sendJson(res, 401, { error: "missing or invalid bearer token" });
+        return;
+      }
+      const route = `${req.method} ${new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "") || "/"}`;
+
+      if (route === "GET /status" || route === "GET /") {
+        sendJson(res, 200, handlers.status());
+        return;
+      }
+      if (actions[route]) {
+        sendJson(res, 200, actions[route]());
+        return;
+      }
+      if (route === "POST /enqueue") {
+        const raw = await readBody(req);
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch (err) {
+          sendJson(res, 400, { error: `invalid JSON body: ${err.message.split("\n")[0]}` });
+          return;
+        }
+        const wrapped = body && typeof body === "object" && !Array.isArray(body) && Array.isArray(body.prompts);
+        const items = wrapped ? body.prompts : Array.isArray(body) ? body : [body];
+        const position = ((wrapped && body.position) || "back").toString().toLowerCase();
+        if (position !== "front" && position !== "back") {
+          sendJson(res, 400, { error: `position must be "front" or "back"` });
+          return;
+        }
+        try {
+          sendJson(res, 200, handlers.enqueue(items, position));
+        } catch (err) {
+          sendJson(res, 400, { error: err.message });
+        }
+        return;
+      }
+      sendJson(res, 404, { error: `unknown endpoint ${route}` });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
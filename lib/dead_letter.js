@@ -0,0 +1,39 @@
+/**
+ * Dead-letter file for prompts that exhausted their submit retries.
+ *
+ * One JSONL line per prompt, in a shape loadPrompts reads back (point PROMPTS_FILE at the
+ * file to requeue after fixing) as the same entry: same text, settings, id, ordering keys
+ * and media. Every line carries a "deadLetter" block with the reason, attempt count and
+ * timestamp; the loader never submits that block.
+ * - Object prompts are written as-is, with the entry's resolved per-prompt settings, id,
+ *   ordering keys and media (absolute paths, so they do not depend on where the file lives).
+ * - Text prompts are written as { "prompt": "...", ... } with "kind": "text" in the
+ *   deadLetter block, which makes the loader submit just the text in any
+ *   PROMPT_OBJECT_MODE. Placeholders in the text are not expanded again.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PROMPT_CONTROL_KEYS, PROMPT_ORDER_KEYS } from "./prompts.js";
+
+export const deadLetterItem = (entry, meta) => {
+  const controls = {
+    ...(entry.settings && Object.keys(entry.settings).length ? { settings: entry.settings } : {}),
+    ...(entry.id !== undefined ? { id: entry.id } : {}),
+    ...Object.fromEntries(PROMPT_ORDER_KEYS.filter((key) => entry[key] !== undefined).map((key) => [key, entry[key]])),
+    ...(entry.media ? { media: entry.media } : {}),
+  };
+  const deadLetter = { ...meta, at: new Date().toISOString() };
+  const raw = entry.raw ?? entry.text;
+  if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+    const payload = { ...raw };
+    for (const key of PROMPT_CONTROL_KEYS) delete payload[key];
+    return { ...payload, ...controls, deadLetter };
+  }
+  return { prompt: entry.text, ...controls, deadLetter: { kind: "text", ...deadLetter } };
+};
+
+export const appendDeadLetter = (file, entry, meta) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(deadLetterItem(entry, meta))}\n`);
+};
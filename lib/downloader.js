@@ -0,0 +1,228 @@
+/**
+ * Drafts downloader.
+ *
+ * Watches the most recent tiles of the drafts grid and saves finished generations from
+ * this run to an output directory:
+ *
+ *   <outputDir>/<prompt#>_run<run#>_<promptHash>_<draftId>.<ext>
+ *   <outputDir>/<same base>.json   (sidecar: prompt, settings, timestamps, source)
+ *
+ * One downloader follows one account's drafts page (one per worker). "From this run" means
+ * the tile was not on that page when the downloader first polled it and can be matched to one of this run's submissions: by its visible prompt text, or by
+ * submission order when the tile shows no text. Draft ids already present in a sidecar
+ * in the output directory are never downloaded again.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { anyOfChain, chainCandidates, locateChain } from "./selector_packs.js";
+
+const EXTENSIONS_BY_TYPE = {
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+const safeName = (s) => String(s).replace(/[^A-Za-z0-9_-]+/g, "_").slice(0, 64);
+
+const stripQuery = (url) => String(url || "").split("?")[0];
+
+// Prefer the id in the tile link (e.g. /d/gen_01abc...), else a hash of the media URL.
+const draftIdFor = ({ href, src }) => {
+  const fromHref = stripQuery(href).split("/").filter(Boolean).pop();
+  if (href && fromHref) return safeName(fromHref);
+  return crypto.createHash("sha256").update(stripQuery(src)).digest("hex").slice(0, 16);
+};
+
+const extensionFor = (contentType, url, kind) => {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (EXTENSIONS_BY_TYPE[type]) return EXTENSIONS_BY_TYPE[type];
+  const fromUrl = path.extname(stripQuery(url)).slice(1).toLowerCase();
+  if (/^[a-z0-9]{2,4}$/.test(fromUrl)) return fromUrl;
+  return kind === "image" ? "png" : "mp4";
+};
+
+// Draft ids already saved in a previous run (read from the sidecars).
+const readDownloadedIds = (outputDir) => {
+  const ids = new Set();
+  if (!fs.existsSync(outputDir)) return ids;
+  for (const name of fs.readdirSync(outputDir)) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(outputDir, name), "utf-8"));
+      if (meta?.draftId) ids.add(meta.draftId);
+    } catch {}
+  }
+  return ids;
+};
+
+/**
+ * Create a downloader.
+ * Options:
+ * - outputDir: where media + sidecars are written
+ * - gridSelector / spinnerSelector / mediaSelector: drafts selector chains (lists, tried in
+ *   order; the first media candidate a tile contains is the one saved); tileSelector: a
+ *   single selector
+ * - scanCount: how many of the most recent tiles to inspect per poll
+ * - matchesPrompt(tileText, promptText): prompt/tile text matcher
+ * - timeoutMs: per-file download timeout
+ * - logPrefix: put before log lines (the worker name when there are several)
+ */
+export function createDraftsDownloader({
+  outputDir,
+  gridSelector,
+  tileSelector = "[data-index]",
+  spinnerSelector,
+  mediaSelector = ["video", "img"],
+  scanCount = 12,
+  matchesPrompt = () => false,
+  timeoutMs = 120000,
+  logPrefix = "",
+}) {
+  const downloaded = readDownloadedIds(outputDir);
+  const baseline = new Set();
+  const failed = new Map();
+  const submissions = [];
+  let initialized = false;
+
+  async function readTiles(draftsPage) {
+    const grid = await locateChain(draftsPage, gridSelector);
+    const tiles =
+      grid && (await grid.count()) > 0 ? grid.first().locator(tileSelector) : draftsPage.locator(tileSelector);
+    const mediaCandidates = chainCandidates(mediaSelector);
+    const n = Math.min(scanCount, await tiles.count());
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const tile = tiles.nth(i);
+      try {
+        const spinner = anyOfChain(tile, spinnerSelector);
+        const spinning = spinner ? (await spinner.count()) > 0 : false;
+        const info = await tile.evaluate((el, mediaSels) => {
+          const link = el.querySelector("a[href]");
+          let media = null;
+          for (const sel of mediaSels) {
+            try {
+              media = el.querySelector(sel);
+            } catch {}
+            if (media) break;
+          }
+          const isVideo = media?.tagName === "VIDEO";
+          const src =
+            media?.currentSrc || media?.src || media?.querySelector?.("source")?.src || "";
+          const labels = [...el.querySelectorAll("[alt], [title], [aria-label]")].map(
+            (node) =>
+              node.getAttribute("alt") ||
+              node.getAttribute("title") ||
+              node.getAttribute("aria-label") ||
+              ""
+          );
+          return {
+            href: link?.href || "",
+            src,
+            kind: media ? (isVideo ? "video" : "image") : "",
+            text: [el.innerText || "", ...labels].join(" "),
+          };
+        }, mediaCandidates);
+        if (!info.href && !info.src) continue;
+        out.push({ ...info, spinning, draftId: draftIdFor(info) });
+      } catch {}
+    }
+    return out;
+  }
+
+  // Oldest open submission whose text is on the tile; else the oldest open one.
+  function claimSubmission(tileText) {
+    const open = submissions.filter((s) => !s.draftId);
+    const byText = open.find((s) => matchesPrompt(tileText, s.text));
+    if (byText) return { submission: byText, matchedBy: "text" };
+    if (open.length) return { submission: open[0], matchedBy: "order" };
+    return { submission: null, matchedBy: null };
+  }
+
+  async function save(draftsPage, tile, submission, matchedBy) {
+    const res = await draftsPage.context().request.get(tile.src, { timeout: timeoutMs });
+    if (!res.ok()) throw new Error(`HTTP ${res.status()}`);
+    const body = await res.body();
+    const ext = extensionFor(res.headers()["content-type"], tile.src, tile.kind);
+    // Ad-hoc prompts (control API) have no position in the prompts file.
+    const prefix = submission.promptIndex == null ? "adhoc" : String(submission.promptIndex + 1).padStart(3, "0");
+    const base = `${prefix}_run${submission.cycle + 1}_${submission.promptHash}_${tile.draftId}`;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const mediaFile = path.join(outputDir, `${base}.${ext}`);
+    fs.writeFileSync(`${mediaFile}.part`, body);
+    fs.renameSync(`${mediaFile}.part`, mediaFile);
+    const sidecar = {
+      draftId: tile.draftId,
+      file: path.basename(mediaFile),
+      kind: tile.kind,
+      bytes: body.length,
+      sourceUrl: stripQuery(tile.src),
+      draftUrl: tile.href || null,
+      matchedBy,
+      promptIndex: submission.promptIndex,
+      run: submission.cycle + 1,
+      promptHash: submission.promptHash,
+      prompt: submission.text,
+      settings: submission.settings,
+      submittedAt: submission.submittedAt,
+      completedAt: tile.completedAt,
+      downloadedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(path.join(outputDir, `${base}.json`), JSON.stringify(sidecar, null, 2));
+    return mediaFile;
+  }
+
+  // Remember the tiles that already exist so only this run's generations are saved.
+  async function init(draftsPage) {
+    for (const tile of await readTiles(draftsPage)) baseline.add(tile.draftId);
+    initialized = true;
+    console.log(
+      `${logPrefix}Downloader: saving finished drafts to ${outputDir} (${baseline.size} existing tile(s) ignored, ${downloaded.size} already downloaded)`
+    );
+  }
+
+  async function poll(draftsPage) {
+    if (!initialized) await init(draftsPage);
+    let saved = 0;
+    const tiles = await readTiles(draftsPage);
+    // Tiles are newest-first; walk oldest-first so order-based matching lines up.
+    for (const tile of tiles.reverse()) {
+      if (tile.spinning || !tile.src || tile.src.startsWith("blob:")) continue;
+      if (baseline.has(tile.draftId) || downloaded.has(tile.draftId)) continue;
+      if ((failed.get(tile.draftId) || 0) >= 3) continue;
+      // Not attributable to one of our submissions (e.g. a teammate's generation).
+      const { submission, matchedBy } = claimSubmission(tile.text);
+      if (!submission) continue;
+      tile.completedAt = new Date().toISOString();
+      try {
+        const file = await save(draftsPage, tile, submission, matchedBy);
+        downloaded.add(tile.draftId);
+        submission.draftId = tile.draftId;
+        saved += 1;
+        console.log(`${logPrefix}Downloaded ${path.basename(file)}`);
+      } catch (err) {
+        failed.set(tile.draftId, (failed.get(tile.draftId) || 0) + 1);
+        console.log(`${logPrefix}Download failed for draft ${tile.draftId}: ${err.message}`);
+      }
+    }
+    return saved;
+  }
+
+  return {
+    init,
+    poll,
+    recordSubmission({ promptIndex, cycle, text, settings, promptHash, submittedAt }) {
+      submissions.push({ promptIndex, cycle, text, settings, promptHash, submittedAt, draftId: null });
+    },
+    // Submissions from this run that have not been downloaded yet.
+    pendingCount() {
+      return submissions.filter((s) => !s.draftId).length;
+    },
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Structured event log.
+ *
+ * Writes one JSON object per line next to the human-readable LOG_FILE, so runs can be
+ * reported on and alerted about without scraping console text:
+ *
+ *   {"ts":"...","seq":12,"event":"gen_response","pid":4242,"promptIndex":3,"run":1,"promptHash":"9f2c...","status":200}
+ *
+ * Every event carries the current queue context (promptIndex, run, promptHash), which
+ * the main loop updates before each submission via setContext(). Lines are written
+ * synchronously so the last events survive the process.exit() at shutdown.
+ * `onEvent(line)` sees every event, even when no file is configured.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export function createEventLog(file, { onEvent = () => {} } = {}) {
+  let fd = null;
+  if (file) {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fd = fs.openSync(file, "a");
+    } catch (err) {
+      console.error("Failed to open event log", file, err);
+    }
+  }
+
+  let seq = 0;
+  let context = { promptIndex: null, run: null, promptHash: null };
+
+  return {
+    enabled: () => fd !== null,
+
+    setContext(next) {
+      context = { ...context, ...next };
+    },
+
+    emit(event, fields = {}) {
+      seq += 1;
+      const line = { ts: new Date().toISOString(), seq, event, pid: process.pid, ...context, ...fields };
+      onEvent(line);
+      if (fd === null) return;
+      try {
+        fs.writeSync(fd, `${JSON.stringify(line)}\n`);
+      } catch (err) {
+        console.error("Event log write failed", file, err.message);
+      }
+    },
+
+    close() {
+      if (fd === null) return;
+      try {
+        fs.closeSync(fd);
+      } catch {}
+      fd = null;
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Public API of the Sora queue (see lib/queue.js for the queue object and its events).
+ */
+
+export { loadConfig, loadConfigFile, resolveConfig } from "./config.js";
+export { startControlServer } from "./control_server.js";
+export { createSubmitLedger } from "./ledger.js";
+export { runPreflightTests } from "./preflight.js";
+export { createPromptLinter } from "./prompt_lint.js";
+export { diffPrompts } from "./prompt_identity.js";
+export { pickNextPrompt, planPrompts } from "./prompt_order.js";
+export { createPromptLoader } from "./prompts.js";
+export { createQuotaTracker } from "./quota.js";
+export { createRateLimiter, parseRetryHint } from "./rate_limit.js";
+export { chooseSelectorPack, loadSelectorPacks } from "./selector_packs.js";
+export { createSoraQueue } from "./queue.js";
+export { createSoraDriver } from "./sora_driver.js";
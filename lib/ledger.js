@@ -0,0 +1,106 @@
+/**
+ * Submit ledger: every confirmed submit, kept across runs so overlapping prompt files do not
+ * pay for the same generation twice.
+ *
+ * DEDUP_LEDGER_FILE is JSONL, one line per submit: the prompt hash, the effective generation
+ * settings and attached media and their hash, the time and the batch it belonged to (plus a
+ * preview and the task id, for reading it by hand). Lines are only ever appended; delete old ones freely.
+ *
+ * find() returns the latest submit of the same text with the same settings and media within
+ * DEDUP_LOOKBACK_HOURS. Submits of the current batch never match, so PROMPT_FILE_RUNS repeats
+ * and a resumed batch go through. With FORCE_RESUBMIT nothing matches, but submits are
+ * still recorded.
+ */
+
+import fs from "fs";
+import path from "path";
+import { promptHash, sha256Hex } from "./state.js";
+
+const HOUR_MS = 3600 * 1000;
+
+// Order-independent hash of a resolved settings object (empty values left out).
+export const settingsHash = (settings = {}) =>
+  sha256Hex(
+    JSON.stringify(
+      Object.entries(settings)
+        .filter(([, v]) => v !== "" && v !== undefined && v !== null)
+        .sort(([a], [b]) => a.localeCompare(b))
+    )
+  ).slice(0, 12);
+
+// A new batch id; kept in the state file so a resumed batch keeps it.
+export const newBatchId = () => `${new Date().toISOString()}-${process.pid}`;
+
+export function createSubmitLedger(config) {
+  const { DEDUP_LEDGER_FILE, DEDUP_LOOKBACK_HOURS, FORCE_RESUBMIT } = config;
+  const enabled = !!DEDUP_LEDGER_FILE;
+  const checking = enabled && DEDUP_LOOKBACK_HOURS > 0 && !FORCE_RESUBMIT;
+
+  // Submits by "<prompt hash>:<settings hash>", re-read whenever the file changes (another
+  // process may be appending to it too).
+  let cache = { stamp: null, byKey: new Map() };
+  const settingsKey = (settings, media) => settingsHash(media ? { ...settings, media } : settings);
+  const keyOf = (text, settings, media) => `${promptHash(text)}:${settingsKey(settings, media)}`;
+
+  const entries = () => {
+    let stat;
+    try {
+      stat = fs.statSync(DEDUP_LEDGER_FILE);
+    } catch {
+      return new Map();
+    }
+    const stamp = `${stat.mtimeMs}:${stat.size}`;
+    if (stamp === cache.stamp) return cache.byKey;
+    const byKey = new Map();
+    let bad = 0;
+    for (const line of fs.readFileSync(DEDUP_LEDGER_FILE, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        const key = `${record.promptHash}:${record.settingsHash}`;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(record);
+      } catch {
+        bad += 1;
+      }
+    }
+    if (bad) console.log(`Ledger ${DEDUP_LEDGER_FILE}: ignored ${bad} unreadable line(s)`);
+    cache = { stamp, byKey };
+    return byKey;
+  };
+
+  /**
+   * The latest earlier-batch submit of `text` with these (resolved) settings and media within
+   * the lookback, or null. Always null when the check is off.
+   */
+  const find = ({ text, settings, media }, batch, now = Date.now()) => {
+    if (!checking) return null;
+    const since = now - DEDUP_LOOKBACK_HOURS * HOUR_MS;
+    const matches = (entries().get(keyOf(text, settings, media)) || []).filter((r) => {
+      const at = Date.parse(r.submittedAt);
+      return r.batch !== batch && at >= since && at <= now;
+    });
+    return matches.sort((a, b) => Date.parse(b.submittedAt) - Date.parse(a.submittedAt))[0] || null;
+  };
+
+  // Append one confirmed submit.
+  const record = ({ text, settings, media, batch, taskId, worker, where }, now = Date.now()) => {
+    if (!enabled) return;
+    const line = {
+      promptHash: promptHash(text),
+      settingsHash: settingsKey(settings, media),
+      settings,
+      ...(media ? { media } : {}),
+      submittedAt: new Date(now).toISOString(),
+      batch,
+      taskId: taskId ?? null,
+      worker,
+      where: where || null,
+      preview: text.replace(/\s+/g, " ").trim().slice(0, 80),
+    };
+    fs.mkdirSync(path.dirname(path.resolve(DEDUP_LEDGER_FILE)), { recursive: true });
+    fs.appendFileSync(DEDUP_LEDGER_FILE, `${JSON.stringify(line)}\n`);
+  };
+
+  return { enabled, checking, find, record };
+}
@@ -0,0 +1,242 @@
+/**
+ * Pre-flight test suite: checks the CDP connection, the Sora/drafts tabs, in-progress
+ * detection, the composer (including the media upload control when prompts attach files)
+ * and the prompts file (loading and lint) before the queue submits anything.
+ */
+
+import { createPromptLinter, formatLintReport } from "./prompt_lint.js";
+import { anyOfChain, chainCandidates, locateChain, waitForChain } from "./selector_packs.js";
+
+/**
+ * Run the checks against an attached browser. `logStream` is the CLI's log file stream:
+ * null when LOG_FILE could not be opened, undefined when the caller does its own logging.
+ * Returns { passed, results }.
+ */
+export async function runPreflightTests({
+  config,
+  driver,
+  loadPrompts,
+  browser,
+  page,
+  inProgressStrategy,
+  selectorPack = null,
+  events = { emit() {} },
+  logStream,
+}) {
+  const { selectors, MAX_CONCURRENT, LOG_FILE } = config;
+  const { SORA_HOST, soraTabKind, isSubmitEnabled } = driver;
+  const testResults = [];
+  const testLog = [];
+  
+  const logTest = (name, passed, details = "") => {
+    const mark = passed ? "✓" : "✗";
+    const status = passed ? "PASS" : "FAIL";
+    const msg = `${mark} ${name}: ${status}${details ? " - " + details : ""}`;
+    console.log(msg);
+    testLog.push(msg);
+    testResults.push({ name, passed, details });
+    return passed;
+  };
+
+  console.log("\n========================================");
+  console.log("PRE-FLIGHT TEST SUITE");
+  console.log("========================================\n");
+
+  let allPassed = true;
+
+  // Test 1: CDP connection
+  try {
+    const contexts = browser.contexts();
+    allPassed &= logTest("CDP connection", contexts.length > 0, `${contexts.length} context(s)`);
+  } catch (err) {
+    allPassed &= logTest("CDP connection", false, err.message);
+  }
+
+  // Test 2: Sora page accessible
+  try {
+    const url = page.url();
+    const isSora = url.toLowerCase().includes(SORA_HOST);
+    allPassed &= logTest("Sora page accessible", isSora, url);
+  } catch (err) {
+    allPassed &= logTest("Sora page accessible", false, err.message);
+  }
+
+  // Test 3: Verify on the configured tab, drafts or composer (NO NAVIGATION)
+  const tabKind = soraTabKind ? soraTabKind() : "drafts";
+  const tabTest = tabKind === "drafts" ? "Already on drafts page" : "Already on composer page";
+  try {
+    const onDrafts = new URL(page.url()).pathname.startsWith("/drafts");
+    const onTab = tabKind === "drafts" ? onDrafts : !onDrafts;
+    allPassed &= logTest(tabTest, onTab, page.url());
+    if (!onTab) {
+      const wanted = tabKind === "drafts" ? selectors.draftsUrl : new URL("/", selectors.draftsUrl).href;
+      console.log(`⚠️  WARNING: Please open ${wanted} in the browser before running (SORA_OPEN_TAB / SORA_UI_MODE pick the ${tabKind} tab)`);
+    }
+  } catch (err) {
+    allPassed &= logTest(tabTest, false, err.message);
+  }
+
+  // Test 4: Selector pack (skipped when packs are off)
+  if (selectorPack) {
+    const found = Object.values(selectorPack.matches).filter(Boolean).length;
+    allPassed &= logTest(
+      "Selector pack",
+      selectorPack.score > 0,
+      `${selectorPack.name}, ${found}/${Object.keys(selectorPack.matches).length} element(s) on the page`
+    );
+  }
+
+  // Test 5: In-progress detection
+  try {
+    const count = await inProgressStrategy.read();
+    const valid = Number.isFinite(count) && count >= 0 && count <= MAX_CONCURRENT;
+    allPassed &= logTest("In-progress detection", valid, `count=${count}/${MAX_CONCURRENT}`);
+  } catch (err) {
+    allPassed &= logTest("In-progress detection", false, err.message);
+  }
+
+  // Test 6: Prompt textarea accessible
+  try {
+    // Wait for textarea to appear (it may load dynamically)
+    await waitForChain(page, selectors.promptTextarea, { timeout: 5000, visible: false }).catch(() => {});
+    const textarea = anyOfChain(page, selectors.promptTextarea);
+    const count = textarea ? await textarea.count() : 0;
+    const found = count > 0;
+    allPassed &= logTest("Prompt textarea found", found, `${count} element(s)`);
+  } catch (err) {
+    allPassed &= logTest("Prompt textarea found", false, err.message);
+  }
+
+  // Test 7: Fill test prompt
+  let testPrompt = "Test prompt for validation";
+  try {
+    const prompts = loadPrompts();
+    if (prompts.length > 0) {
+      testPrompt = prompts[0].text;
+      testPrompt = testPrompt.substring(0, 100); // Use first 100 chars for test
+    }
+  } catch {}
+
+  try {
+    const promptChain = await locateChain(page, selectors.promptTextarea, { visible: true });
+    if (!promptChain) throw new Error("SORA_PROMPT is empty");
+    const textarea = promptChain.first();
+    await textarea.fill("", { timeout: 5000 });
+    await textarea.fill(testPrompt, { timeout: 5000 });
+    await page.waitForTimeout(500);
+    const value = await textarea.inputValue().catch(() => "");
+    const filled = value.length > 0;
+    allPassed &= logTest("Fill prompt textarea", filled, `${value.length} chars`);
+  } catch (err) {
+    allPassed &= logTest("Fill prompt textarea", false, err.message);
+  }
+
+  // Test 8: Submit button detection
+  try {
+    let found = false;
+    let foundSelector = "";
+    for (const sel of chainCandidates(selectors.submitButton)) {
+      if ((await page.locator(sel).count()) > 0) {
+        found = true;
+        foundSelector = sel.substring(0, 50);
+        break;
+      }
+    }
+    allPassed &= logTest("Submit button found", found, foundSelector);
+  } catch (err) {
+    allPassed &= logTest("Submit button found", false, err.message);
+  }
+
+  // Test 9: Submit button state
+  try {
+    const enabled = await isSubmitEnabled(page);
+    // Note: button might be disabled if no actual prompt, but we can detect it
+    logTest("Submit button state check", true, enabled ? "enabled" : "disabled");
+  } catch (err) {
+    allPassed &= logTest("Submit button state check", false, err.message);
+  }
+
+  // Test 10: UI mode detection
+  try {
+    const mode = inProgressStrategy.mode || "unknown";
+    const valid = mode === "activity" || mode === "drafts";
+    allPassed &= logTest("UI mode detection", valid, `mode=${mode}`);
+  } catch (err) {
+    allPassed &= logTest("UI mode detection", false, err.message);
+  }
+
+  // Test 11: Prompts file loaded, Test 12: prompt lint (fails only with PROMPT_LINT=block)
+  try {
+    const prompts = loadPrompts();
+    const loaded = prompts.length > 0;
+    allPassed &= logTest("Prompts file loaded", loaded, `${prompts.length} prompt(s)`);
+    const lint = createPromptLinter(config).lintPrompts(prompts);
+    if (lint.mode !== "off") {
+      for (const line of formatLintReport(lint)) console.log(line);
+      events.emit("prompt_lint", { ok: lint.ok, mode: lint.mode, counts: lint.counts, issues: lint.issues });
+      allPassed &= logTest(
+        "Prompt lint",
+        lint.ok,
+        lint.issues.length ? `${lint.issues.length} issue(s) (${lint.mode})` : `${prompts.length} prompt(s) clean`
+      );
+    }
+  } catch (err) {
+    allPassed &= logTest("Prompts file loaded", false, err.message);
+  }
+
+  // Test 13: Media upload control (required once a prompt has media)
+  try {
+    let withMedia = 0;
+    try {
+      withMedia = loadPrompts().filter((p) => p.media && p.media.length).length;
+    } catch {}
+    const upload = anyOfChain(page, selectors.mediaUpload);
+    const count = upload ? await upload.count() : 0;
+    if (withMedia) {
+      allPassed &= logTest("Media upload control found", count > 0, `${count} element(s), ${withMedia} prompt(s) with media`);
+    } else {
+      logTest("Media upload control found", true, count ? `${count} element(s)` : "not found; no prompt has media");
+    }
+  } catch (err) {
+    allPassed &= logTest("Media upload control found", false, err.message);
+  }
+
+  // Test 14: Log file writable
+  try {
+    if (logStream === undefined) {
+      logTest("Log file writable", true, "Logging handled by the caller");
+    } else if (LOG_FILE) {
+      const testMsg = `[TEST] ${new Date().toISOString()} Pre-flight test completed\n`;
+      if (logStream) {
+        logStream.write(testMsg);
+        allPassed &= logTest("Log file writable", true, LOG_FILE);
+      } else {
+        allPassed &= logTest("Log file writable", false, "No log stream");
+      }
+    } else {
+      logTest("Log file writable", true, "Logging disabled");
+    }
+  } catch (err) {
+    allPassed &= logTest("Log file writable", false, err.message);
+  }
+
+  console.log("\n========================================");
+  if (allPassed) {
+    console.log("✓ ALL TESTS PASSED - Ready to start submission");
+  } else {
+    console.log("✗ SOME TESTS FAILED - Please fix issues before running");
+  }
+  console.log("========================================\n");
+
+  // Write detailed results to log
+  if (LOG_FILE && logStream) {
+    logStream.write("\n" + "=".repeat(60) + "\n");
+    logStream.write(`PRE-FLIGHT TEST RESULTS - ${new Date().toISOString()}\n`);
+    logStream.write("=".repeat(60) + "\n");
+    testLog.forEach(line => logStream.write(line + "\n"));
+    logStream.write("=".repeat(60) + "\n\n");
+  }
+
+  events.emit("preflight", { passed: !!allPassed, results: testResults });
+  return { passed: allPassed, results: testResults };
+}
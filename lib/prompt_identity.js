@@ -0,0 +1,70 @@
+/**
+ * Prompt identity across hot reloads of the prompts file.
+ *
+ * A prompt is known by its `id` when the item sets one, otherwise by a hash of its text and
+ * per-prompt settings (the nth copy of a repeated prompt is told apart by its position among
+ * the copies). diffPrompts matches two versions of the file by identity, so inserting or
+ * removing a prompt does not shift the ones after it. Without an `id`, editing a prompt's
+ * text turns it into a new prompt (one removed, one added); with an `id` it is "changed".
+ */
+
+import { entryHash } from "./state.js";
+
+export const promptIdentities = (prompts) => {
+  const seen = new Map();
+  return prompts.map((entry) => {
+    const base = entry.id !== undefined ? `id:${entry.id}` : `hash:${entryHash(entry)}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base}#${n}`;
+  });
+};
+
+/**
+ * Match the prompts of `after` against `before`. Returns { matches, added, removed, changed,
+ * unchanged }: matches[i] is the index in `before` of an unchanged prompt at `after` index i
+ * (null for added and changed ones), added/removed are indices into after/before, changed is
+ * [{ from, to }] and unchanged is a count.
+ */
+export const diffPrompts = (before, after) => {
+  const beforeIndex = new Map(promptIdentities(before).map((identity, i) => [identity, i]));
+  const matches = [];
+  const added = [];
+  const changed = [];
+  promptIdentities(after).forEach((identity, i) => {
+    const from = beforeIndex.get(identity);
+    beforeIndex.delete(identity);
+    if (from === undefined) added.push(i);
+    else if (entryHash(before[from]) !== entryHash(after[i])) changed.push({ from, to: i });
+    else {
+      matches.push(from);
+      return;
+    }
+    matches.push(null);
+  });
+  const removed = [...beforeIndex.values()].sort((a, b) => a - b);
+  return { matches, added, removed, changed, unchanged: matches.filter((m) => m !== null).length };
+};
+
+const preview = (entry) => {
+  const oneLine = entry.text.replace(/\s+/g, " ").trim();
+  return oneLine.length > 60 ? `${oneLine.slice(0, 59)}…` : oneLine;
+};
+
+// Log lines for a diff: a summary, then up to `max` prompts of each kind.
+export const describePromptDiff = (diff, before, after, { max = 5 } = {}) => {
+  const { added, removed, changed, unchanged } = diff;
+  const lines = [
+    `Prompts reloaded from file: ${added.length} added, ${removed.length} removed, ` +
+      `${changed.length} changed, ${unchanged} unchanged (${after.length} prompt(s)).`,
+  ];
+  const list = (mark, items, describe) => {
+    for (const item of items.slice(0, max)) lines.push(`  ${mark} ${describe(item)}`);
+    if (items.length > max) lines.push(`  ${mark} … and ${items.length - max} more`);
+  };
+  const at = (entries, i) => `prompt ${i + 1}${entries[i].where ? ` [${entries[i].where}]` : ""}`;
+  list("+", added, (i) => `${at(after, i)}: ${preview(after[i])}`);
+  list("-", removed, (i) => `${at(before, i)}: ${preview(before[i])}`);
+  list("~", changed, ({ from, to }) => `${at(after, to)} (was prompt ${from + 1}), id ${after[to].id}: ${preview(after[to])}`);
+  return lines;
+};
@@ -0,0 +1,161 @@
+/**
+ * Prompt linting: checks the entries loadPrompts() returns (lib/prompts.js) before a batch
+ * starts, so problems show up in preflight instead of at submit time.
+ *
+ * Rules:
+ * - too_long: the submitted text (after JSON.stringify of object prompts) is longer than
+ *   PROMPT_MAX_LENGTH characters
+ * - duplicate: same text and settings as an earlier prompt
+ * - near_duplicate: same text up to case/punctuation/whitespace, or word-pair overlap of at
+ *   least PROMPT_NEAR_DUPLICATE with an earlier prompt that has the same settings
+ * - no_text: nothing to submit, e.g. an object without a usable "prompt" field under
+ *   PROMPT_OBJECT_MODE=prompt (which would submit the whole object as JSON)
+ * - banned_term: contains a term from PROMPT_BANNED_TERMS (whole words, or a /regex/)
+ * - media_missing: a file in the prompt's `media` does not exist or cannot be read (the
+ *   submit would fail)
+ *
+ * PROMPT_LINT decides what happens: "warn" reports, "block" fails preflight (and rejects a
+ * hot reload), "off" skips linting.
+ */
+
+import { unusableMedia } from "./prompts.js";
+
+// Fuzzy near-duplicate checks compare every pair; above this many prompts only the
+// normalized-text check runs.
+const FUZZY_MAX_PROMPTS = 1000;
+
+const normalizeText = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Word pairs of the normalized text (single words for one-word prompts).
+const shingles = (normalized) => {
+  const words = normalized.split(" ").filter(Boolean);
+  if (words.length < 2) return new Set(words);
+  const out = new Set();
+  for (let i = 0; i < words.length - 1; i++) out.add(`${words[i]} ${words[i + 1]}`);
+  return out;
+};
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const s of small) if (large.has(s)) shared += 1;
+  return shared / (a.size + b.size - shared);
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A banned-term entry as a RegExp: "/.../flags" as written (minus g/y, which would make
+// test() stateful), anything else as a whole word or phrase, case-insensitive.
+export const bannedTermPattern = (term) => {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(term);
+  if (m) return new RegExp(m[1], m[2].replace(/[gy]/g, ""));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term.trim())}(?![\\p{L}\\p{N}])`, "iu");
+};
+
+export function createPromptLinter(config) {
+  const { PROMPT_LINT, PROMPT_MAX_LENGTH, PROMPT_NEAR_DUPLICATE, PROMPT_BANNED_TERMS, PROMPT_OBJECT_MODE } = config;
+  const banned = PROMPT_BANNED_TERMS.map((term) => ({ term: String(term), re: bannedTermPattern(String(term)) }));
+
+  // Why an entry has nothing usable to submit, or null.
+  const noTextReason = (entry) => {
+    const raw = entry.raw;
+    if (PROMPT_OBJECT_MODE === "prompt" && raw && typeof raw === "object" && !Array.isArray(raw)) {
+      if (typeof raw.prompt !== "string") {
+        return 'no "prompt" field; PROMPT_OBJECT_MODE=prompt would submit the whole object as JSON';
+      }
+      if (!raw.prompt.trim()) return '"prompt" field is empty';
+    }
+    if (!entry.text.trim()) return "text is empty";
+    if (entry.text.trim() === "{}") return "object has no fields besides settings";
+    return null;
+  };
+
+  /**
+   * Lint a list of entries. Returns { mode, ok, issues, counts } where each issue is
+   * { rule, index, where, message } (index is 0-based) and `ok` is false only in block
+   * mode with issues.
+   */
+  const lintPrompts = (entries) => {
+    if (PROMPT_LINT === "off") return { mode: "off", ok: true, issues: [], counts: {} };
+    const issues = [];
+    const add = (rule, index, message) => issues.push({ rule, index, where: entries[index].where || null, message });
+
+    const seenExact = new Map(); // text + settings -> first index
+    const seenNormalized = new Map();
+    const fuzzy = PROMPT_NEAR_DUPLICATE > 0 && entries.length <= FUZZY_MAX_PROMPTS;
+    const compared = []; // { index, group, shingles } of entries so far, for fuzzy matching
+
+    entries.forEach((entry, i) => {
+      const text = entry.text;
+      const reason = noTextReason(entry);
+      if (reason) {
+        add("no_text", i, reason);
+        return;
+      }
+      if (PROMPT_MAX_LENGTH && text.length > PROMPT_MAX_LENGTH) {
+        add("too_long", i, `${text.length} characters (limit ${PROMPT_MAX_LENGTH})`);
+      }
+      for (const { term, re } of banned) {
+        if (re.test(text)) add("banned_term", i, `contains banned term "${term}"`);
+      }
+      const unusable = unusableMedia(entry.media);
+      if (unusable.length) add("media_missing", i, `media file(s) missing: ${unusable.join(", ")}`);
+
+      // Prompts with different settings or media are different generations.
+      const group = JSON.stringify([entry.settings || {}, entry.media || []]);
+      const exactKey = `${group}\n${text.trim()}`;
+      if (seenExact.has(exactKey)) {
+        add("duplicate", i, `same text and settings as prompt ${seenExact.get(exactKey) + 1}`);
+        return;
+      }
+      seenExact.set(exactKey, i);
+
+      const normalized = normalizeText(text);
+      const normalizedKey = `${group}\n${normalized}`;
+      if (seenNormalized.has(normalizedKey)) {
+        add("near_duplicate", i, `same text as prompt ${seenNormalized.get(normalizedKey) + 1} apart from case/punctuation`);
+        return;
+      }
+      seenNormalized.set(normalizedKey, i);
+
+      if (!fuzzy) return;
+      const mine = shingles(normalized);
+      let best = null;
+      for (const other of compared) {
+        if (other.group !== group) continue;
+        const score = jaccard(mine, other.shingles);
+        if (score >= PROMPT_NEAR_DUPLICATE && (!best || score > best.score)) best = { index: other.index, score };
+      }
+      if (best) add("near_duplicate", i, `${Math.round(best.score * 100)}% similar to prompt ${best.index + 1}`);
+      compared.push({ index: i, group, shingles: mine });
+    });
+
+    if (PROMPT_NEAR_DUPLICATE > 0 && !fuzzy) {
+      console.log(`Prompt lint: ${entries.length} prompts; near-duplicate check limited to case/punctuation differences.`);
+    }
+    const counts = {};
+    for (const issue of issues) counts[issue.rule] = (counts[issue.rule] || 0) + 1;
+    return { mode: PROMPT_LINT, ok: PROMPT_LINT !== "block" || !issues.length, issues, counts };
+  };
+
+  return { lintPrompts };
+}
+
+// Human-readable lines for a lint result (at most `max` issues, then a count of the rest).
+export const formatLintReport = (result, { max = 20 } = {}) => {
+  if (!result.issues.length) return [];
+  const summary = Object.entries(result.counts)
+    .map(([rule, n]) => `${n} ${rule}`)
+    .join(", ");
+  const lines = [`Prompt lint (${result.mode}): ${result.issues.length} issue(s): ${summary}`];
+  for (const issue of result.issues.slice(0, max)) {
+    lines.push(`  prompt ${issue.index + 1}${issue.where ? ` [${issue.where}]` : ""}: ${issue.rule}: ${issue.message}`);
+  }
+  if (result.issues.length > max) lines.push(`  … and ${result.issues.length - max} more`);
+  return lines;
+};
@@ -0,0 +1,97 @@
+/**
+ * Prompt ordering: which file prompt the queue submits next.
+ *
+ * Every prompt has a priority (default 0), a weight (default 1) and a run count (default
+ * PROMPT_FILE_RUNS, null = unlimited); see PROMPT_ORDER_KEYS in lib/prompts.js. One pass gives
+ * each prompt `weight` turns, and a prompt is finished after `runs` passes. The next prompt is
+ * the one in the earliest pass, then with the highest priority, then with the fewest turns
+ * for its weight, then the first in the file. With the defaults that is plain file order,
+ * pass after pass.
+ *
+ * `done` holds each prompt's finished turns (submitted, skipped or dead-lettered), by index.
+ */
+
+export const orderOf = (entry) => ({
+  priority: entry.priority ?? 0,
+  weight: entry.weight ?? 1,
+  runs: entry.runs ?? null,
+});
+
+// Turns a prompt gets in total (null = unlimited).
+export const targetTurns = (entry, defaultRuns) => {
+  const { weight, runs } = orderOf(entry);
+  const passes = runs ?? defaultRuns;
+  return passes === null ? null : passes * weight;
+};
+
+export const passOf = (entry, turns) => Math.floor(turns / orderOf(entry).weight);
+
+// Lexicographic comparison of two sort keys; equal keys keep file order (the earlier wins).
+const compareKeys = (a, b) => {
+  for (let k = 0; k < a.length; k++) if (a[k] !== b[k]) return a[k] - b[k];
+  return 0;
+};
+
+/** The next prompt to submit: { index, pass } or null when every prompt has used its runs. */
+export const pickNextPrompt = (prompts, done, defaultRuns) => {
+  let best = null;
+  let bestKey = null;
+  prompts.forEach((entry, index) => {
+    const turns = done[index] || 0;
+    const target = targetTurns(entry, defaultRuns);
+    if (target !== null && turns >= target) return;
+    const { priority, weight } = orderOf(entry);
+    const key = [passOf(entry, turns), -priority, turns / weight];
+    if (!bestKey || compareKeys(key, bestKey) < 0) {
+      best = index;
+      bestKey = key;
+    }
+  });
+  return best === null ? null : { index: best, pass: passOf(prompts[best], done[best] || 0) };
+};
+
+// Total turns of a batch (null when any prompt runs without limit).
+export const plannedTurns = (prompts, defaultRuns) => {
+  let total = 0;
+  for (const entry of prompts) {
+    const target = targetTurns(entry, defaultRuns);
+    if (target === null) return null;
+    total += target;
+  }
+  return total;
+};
+
+// Turns still to go from `done` (null when any prompt runs without limit).
+export const remainingTurns = (prompts, done, defaultRuns) => {
+  let total = 0;
+  for (const [index, entry] of prompts.entries()) {
+    const target = targetTurns(entry, defaultRuns);
+    if (target === null) return null;
+    total += Math.max(0, target - (done[index] || 0));
+  }
+  return total;
+};
+
+// The most passes any prompt gets (null = unlimited), for "run 2/3" in the progress line.
+export const maxRuns = (prompts, defaultRuns) => {
+  let most = 0;
+  for (const entry of prompts) {
+    const runs = orderOf(entry).runs ?? defaultRuns;
+    if (runs === null) return null;
+    most = Math.max(most, runs);
+  }
+  return most;
+};
+
+/** The next `limit` picks from `done` (not modified): [{ index, pass }]. */
+export const planPrompts = (prompts, done, defaultRuns, limit) => {
+  const turns = prompts.map((_, i) => done[i] || 0);
+  const plan = [];
+  while (plan.length < limit) {
+    const next = pickNextPrompt(prompts, turns, defaultRuns);
+    if (!next) break;
+    plan.push(next);
+    turns[next.index] += 1;
+  }
+  return plan;
+};
@@ -0,0 +1,263 @@
+/**
+ * Prompt source formats.
+ *
+ * PROMPTS_FILE can be any of:
+ * - JSON (.json): array of strings / objects / template items, or a single string/object
+ * - JSONL (.jsonl, .ndjson): one JSON value per line (blank lines ignored), read line by line
+ * - CSV (.csv) / TSV (.tsv): header row with a "prompt" (or "text") column plus optional
+ *   settings columns (e.g. "aspect", "duration", "SORA_ORIENTATION"), ordering columns
+ *   ("priority", "weight", "runs"), an "id" column and a "media" column ("a.png|b.png")
+ * - Plain text (.txt, .md): prompts separated by a delimiter line (default "---")
+ *
+ * Every parser returns records `{ item, settings, where }`: `item` is what the JSON
+ * normalizer receives (string or object), `settings` holds per-prompt overrides coming
+ * from columns (CSV only) and `where` is a human-readable location ("line 12",
+ * "row 3 (line 4)", "item 5") used in error messages. Parse errors throw with the file
+ * and location in the message instead of being swallowed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { StringDecoder } from "string_decoder";
+
+export const PROMPT_FORMATS = ["json", "jsonl", "csv", "tsv", "text"];
+
+const EXTENSION_FORMATS = {
+  ".json": "json",
+  ".jsonl": "jsonl",
+  ".ndjson": "jsonl",
+  ".csv": "csv",
+  ".tsv": "tsv",
+  ".txt": "text",
+  ".text": "text",
+  ".md": "text",
+};
+
+export const detectPromptFormat = (file, explicit = "auto") => {
+  const wanted = (explicit || "auto").toString().toLowerCase();
+  if (wanted !== "auto") {
+    if (!PROMPT_FORMATS.includes(wanted)) {
+      throw new Error(`Unknown prompts format "${wanted}" (expected auto, ${PROMPT_FORMATS.join(", ")})`);
+    }
+    return wanted;
+  }
+  // Unknown extensions keep the original behavior: parse as JSON.
+  return EXTENSION_FORMATS[path.extname(file).toLowerCase()] || "json";
+};
+
+// First line of a JSON.parse message without V8's quoted source snippet.
+const jsonErrorReason = (err) =>
+  String(err?.message || err).split("\n")[0].replace(/, (\.\.\.)?".*$/, "");
+
+const lineAt = (text, pos) => text.slice(0, Math.max(0, pos)).split("\n").length;
+
+// JSON.parse messages differ between Node versions ("at position N", "(line N column M)",
+// or a quoted snippet around the bad token); map whichever we get back to a line number.
+const jsonErrorLine = (text, err) => {
+  const msg = String(err?.message || "");
+  const lineCol = msg.match(/\(line (\d+) column \d+\)/);
+  if (lineCol) return Number(lineCol[1]);
+  const position = msg.match(/at position (\d+)/);
+  if (position) return lineAt(text, Number(position[1]));
+  if (/Unexpected end of JSON input/.test(msg)) return lineAt(text, text.trimEnd().length);
+  const snippet = msg.match(/^Unexpected token '(.+?)', (\.\.\.)?"([\s\S]*?)"(\.\.\.)? is not valid JSON/);
+  if (snippet) {
+    const [, token, leading, context] = snippet;
+    const idx = text.indexOf(context);
+    if (idx >= 0) {
+      // V8 shows up to 10 characters before the offending token when it truncates.
+      return lineAt(text, idx + (leading ? 10 : Math.max(0, context.indexOf(token))));
+    }
+  }
+  return null;
+};
+
+const parseJson = (text, file) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    const line = jsonErrorLine(text, err);
+    throw new Error(`${file}${line ? ` line ${line}` : ""}: invalid JSON (${jsonErrorReason(err)})`);
+  }
+  if (Array.isArray(parsed)) {
+    return parsed.map((item, i) => ({ item, settings: undefined, where: `item ${i + 1}` }));
+  }
+  if (typeof parsed === "string" || (parsed && typeof parsed === "object")) {
+    return [{ item: parsed, settings: undefined, where: "item 1" }];
+  }
+  throw new Error(`${file}: expected an array, string or object at the top level`);
+};
+
+// The lines of `file` without their line endings, read in chunks so a large file is never
+// held in memory as a whole.
+function* readLines(file) {
+  const fd = fs.openSync(file, "r");
+  const buffer = Buffer.alloc(64 * 1024);
+  const decoder = new StringDecoder("utf8");
+  let rest = "";
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + decoder.write(buffer.subarray(0, n))).split("\n");
+      rest = lines.pop();
+      for (const line of lines) yield line.replace(/\r$/, "");
+    }
+    rest += decoder.end();
+    if (rest) yield rest.replace(/\r$/, "");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+const parseJsonl = (file, name) => {
+  const records = [];
+  let i = 0;
+  for (const raw of readLines(file)) {
+    i += 1;
+    const line = (i === 1 ? raw.replace(/^\uFEFF/, "") : raw).trim();
+    if (!line) continue;
+    try {
+      records.push({ item: JSON.parse(line), settings: undefined, where: `line ${i}` });
+    } catch (err) {
+      throw new Error(`${name} line ${i}: invalid JSON (${jsonErrorReason(err)})`);
+    }
+  }
+  return records;
+};
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes and newlines inside quotes.
+// Returns [{ fields, line }] where `line` is the 1-based line the row starts on.
+export const parseDelimited = (text, delimiter, file = "input") => {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== "") rows.push({ fields, line: rowLine });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (c === "\n") line += 1;
+        field += c;
+      }
+      continue;
+    }
+    if (c === '"' && field === "") {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (c === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += c;
+    }
+  }
+  if (inQuotes) throw new Error(`${file} line ${quoteLine}: unterminated quoted field`);
+  if (field !== "" || fields.length) endRow();
+  return rows;
+};
+
+const PROMPT_COLUMNS = ["prompt", "text"];
+
+const parseCsv = (text, file, delimiter, settingKeys) => {
+  const rows = parseDelimited(text, delimiter, file);
+  if (!rows.length) return [];
+  const header = rows[0].fields.map((h) => h.trim());
+  const promptCol = header.findIndex((h) => PROMPT_COLUMNS.includes(h.toLowerCase()));
+  if (promptCol < 0) {
+    throw new Error(
+      `${file} line ${rows[0].line}: header needs a "prompt" column (found: ${header.join(", ") || "nothing"})`
+    );
+  }
+  const known = new Set(settingKeys);
+  const settingCols = [];
+  const ignored = [];
+  header.forEach((h, i) => {
+    if (i === promptCol || !h) return;
+    if (known.has(h) || known.has(h.toLowerCase())) {
+      settingCols.push({ i, key: known.has(h) ? h : h.toLowerCase() });
+    } else {
+      ignored.push(h);
+    }
+  });
+  if (ignored.length) console.warn(`${file}: ignoring CSV column(s): ${ignored.join(", ")}`);
+
+  return rows.slice(1).map(({ fields, line }, r) => {
+    const where = `row ${r + 1} (line ${line})`;
+    if (fields.length > header.length) {
+      throw new Error(`${file} ${where}: ${fields.length} fields but the header has ${header.length}`);
+    }
+    const settings = {};
+    for (const { i, key } of settingCols) {
+      const v = (fields[i] ?? "").trim();
+      if (v) settings[key] = v;
+    }
+    return { item: (fields[promptCol] ?? "").trim(), settings, where };
+  });
+};
+
+const parseText = (text, delimiter) => {
+  const records = [];
+  let block = [];
+  let blockLine = 1;
+  const flush = () => {
+    const body = block.join("\n").trim();
+    if (body) records.push({ item: body, settings: undefined, where: `line ${blockLine}` });
+    block = [];
+  };
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (raw.trim() === delimiter) {
+      flush();
+      return;
+    }
+    if (!block.length) {
+      if (!raw.trim()) return;
+      blockLine = i + 1;
+    }
+    block.push(raw);
+  });
+  flush();
+  return records;
+};
+
+/**
+ * Read and parse a prompts file.
+ * Options: format ("auto" or one of PROMPT_FORMATS), textDelimiter (text format),
+ * settingKeys (column names accepted as per-prompt settings in CSV/TSV).
+ */
+export const readPromptSource = (file, { format = "auto", textDelimiter = "---", settingKeys = [] } = {}) => {
+  const resolved = detectPromptFormat(file, format);
+  const name = path.basename(file);
+  // JSONL is parsed as it is read; the other formats need the whole text.
+  if (resolved === "jsonl") return { format: resolved, records: parseJsonl(file, name) };
+  const text = fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");
+  let records;
+  if (resolved === "json") records = parseJson(text, name);
+  else if (resolved === "csv") records = parseCsv(text, name, ",", settingKeys);
+  else if (resolved === "tsv") records = parseCsv(text, name, "\t", settingKeys);
+  else records = parseText(text, textDelimiter);
+  return { format: resolved, records };
+};
@@ -0,0 +1,312 @@
+/**
+ * Prompt entries.
+ *
+ * Every prompt the queue submits is an entry { text, settings, raw, where } (plus priority,
+ * weight and runs, see lib/prompt_order.js, id, see lib/prompt_identity.js, and media paths
+ * when the item sets them), built from a prompts-file record (lib/prompt_sources.js), a
+ * template (lib/templates.js) or an item handed over directly (library callers, the control API).
+ * createPromptLoader(config) binds the helpers to a resolved config (see lib/config.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { readPromptSource } from "./prompt_sources.js";
+import { expandTemplateItem, isTemplateItem } from "./templates.js";
+
+export const DEFAULT_PROMPTS = [
+  `10-second cinematic intro, inspired by Christopher Nolan’s moody style.
+Shot on a Sony mirrorless camera with a 50mm f/1.8 prime lens, shallow depth of field, 16:9 horizontal, 24fps, dramatic contrast.
+
+0–2s — Cold Night Setup
+Interior, small Russian student room at night. Only a warm desk lamp and the cool blue glow of the PC monitor.
+Camera: slow dolly-in on the back of a young Russian girl student sitting at her desk. 50mm f1.8, background softly blurred, light spilling over her shoulders. Subtle ticking sound, distant city noise.
+
+2–4s — The Struggle
+Over-the-shoulder shot, 50mm. We see a nearly blank essay page, blinking cursor, and a failed AI detector result in red (“AI detected”). Crumpled notes in Cyrillic around the keyboard.
+She exhales in frustration, runs a hand through her hair. Slight handheld feel, like a Nolan character under pressure.
+
+4–6s — The Turning Point
+Close-up on her tired eyes, reflections of text on the screen.
+Cut to a low-angle 50mm shot of the monitor as she copies stiff AI-generated text, then types into a search bar: “humanise AI text”.
+She finds aihumaniser.pro. Subtle musical swell.
+
+6–8s — The Transformation
+Stylized UI macro-shot, 50mm at f1.8, super shallow depth of field.
+She pastes the robotic text into the AI Humaniser interface and hits a glowing “Humanise” button.
+The text gradually morphs into warm, fluid, human-sounding sentences.
+Color grade shifts: shadows stay cool, but warm highlights bloom on her face and hands, like hope breaking through. Nolan-style contrast and controlled light.
+
+8–10s — Resolution & Tagline
+Medium shot from the side: she leans back, finally calm, faint smile.
+On screen, the AI detector now shows green: “Human-like ✓”.
+Camera orbits slowly around her at 50mm, background softly out of focus, desk lamp forming a beautiful bokeh.
+As the camera settles, logo + URL fade in: AIHumaniser.pro
+Final text on screen: “AIHumaniser.pro is the way to go.”
+
+Overall mood: dark, focused, high contrast, controlled camera movement, minimal color palette, subtle ticking or low drone, cinematic film look.
+
+Voiceover (pick one):
+A) “Her words sounded fake. Every detector screamed AI. One search, one click… AI Humaniser took that cold, robotic text… and turned it into something truly human. AIHumaniser.pro is the way to go.”
+B) “Stuck with an AI-sounding essay? Detectors flashing red? Paste it into AI Humaniser… and watch it become warm, natural, human. AIHumaniser.pro is the way to go.”`,
+];
+
+// Per-prompt overrides for the generation settings. A prompt object may carry a
+// "settings" block using either the short names or the matching config keys, e.g.
+//   { "prompt": "...", "settings": { "aspect": "16:9", "SORA_DURATION": "15s" } }
+// Anything not set falls back to the global config for that submission.
+export const PROMPT_SETTING_KEYS = {
+  mode: "SORA_MODE",
+  aspect: "SORA_ASPECT",
+  resolution: "SORA_RESOLUTION",
+  duration: "SORA_DURATION",
+  variations: "SORA_VARIATIONS",
+  orientation: "SORA_ORIENTATION",
+};
+
+export const extractPromptSettings = (raw) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  const known = new Set(Object.entries(PROMPT_SETTING_KEYS).flat());
+  const unknown = Object.keys(raw).filter((k) => !known.has(k));
+  if (unknown.length) {
+    console.warn(`Ignoring unknown prompt settings: ${unknown.join(", ")}`);
+  }
+  const out = {};
+  for (const [name, cfgKey] of Object.entries(PROMPT_SETTING_KEYS)) {
+    const v = raw[name] ?? raw[cfgKey];
+    if (v !== undefined && v !== null && v !== "") out[name] = String(v);
+  }
+  return out;
+};
+
+// Ordering keys (lib/prompt_order.js), on a prompt object, a template item or as CSV columns:
+// - priority: higher goes first within each pass (default 0, may be negative)
+// - weight: turns per pass, a whole number (default 1)
+// - runs: passes for this prompt, overriding PROMPT_FILE_RUNS (0 = never submitted)
+export const PROMPT_ORDER_KEYS = ["priority", "weight", "runs"];
+
+// Validated ordering keys from `values` (only those present); throws on bad values.
+export const extractPromptOrder = (values) => {
+  const out = {};
+  if (!values || typeof values !== "object") return out;
+  for (const key of PROMPT_ORDER_KEYS) {
+    const raw = values[key];
+    if (raw === undefined || raw === null || raw === "") continue;
+    const n = Number(raw);
+    const ok =
+      key === "priority" ? Number.isFinite(n) : Number.isInteger(n) && (key === "weight" ? n >= 1 : n >= 0);
+    if (!ok) {
+      const expected = key === "priority" ? "a number" : key === "weight" ? "a whole number >= 1" : "a whole number >= 0";
+      throw new Error(`"${key}" must be ${expected} (got ${JSON.stringify(raw)})`);
+    }
+    out[key] = n;
+  }
+  return out;
+};
+
+// A prompt's `id` (a non-empty string or a number, kept as a string), or undefined when it
+// has none; throws on anything else. See lib/prompt_identity.js.
+export const extractPromptId = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const ok = (typeof value === "string" && value.trim()) || (typeof value === "number" && Number.isFinite(value));
+  if (!ok) throw new Error(`"id" must be a non-empty string or a number (got ${JSON.stringify(value)})`);
+  return String(value).trim();
+};
+
+// A prompt's `media`: one path or a list of paths (a CSV cell separates them with "|"),
+// resolved against `baseDir`. Undefined when there are none; throws on anything else. The
+// files are not checked here: a missing one fails that prompt at submit time.
+export const extractPromptMedia = (value, baseDir) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const list = typeof value === "string" ? value.split("|") : value;
+  if (!Array.isArray(list) || !list.every((p) => typeof p === "string")) {
+    throw new Error(`"media" must be a file path or a list of file paths (got ${JSON.stringify(value)})`);
+  }
+  const paths = list.map((p) => p.trim()).filter(Boolean);
+  return paths.length ? paths.map((p) => path.resolve(baseDir, p)) : undefined;
+};
+
+// Why a media file cannot be attached ("not found", "not readable", ...), or null if it can.
+export const mediaProblem = (file) => {
+  try {
+    if (!fs.statSync(file).isFile()) return "not a file";
+    fs.accessSync(file, fs.constants.R_OK);
+    return null;
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "ENOTDIR") return "not found";
+    if (err.code === "EACCES" || err.code === "EPERM") return "not readable";
+    return err.message;
+  }
+};
+
+// The files of `media` that cannot be attached, as "path (reason)".
+export const unusableMedia = (media = []) =>
+  media.map((file) => [file, mediaProblem(file)]).filter(([, problem]) => problem).map(([file, problem]) => `${file} (${problem})`);
+
+// Keys of a prompt object that control the queue rather than describe the generation.
+// They are never part of the submitted text, in any PROMPT_OBJECT_MODE.
+// - settings: per-prompt generation settings (see above)
+// - deadLetter: failure info written by the dead-letter file (informational, except that
+//   "kind": "text" marks a text prompt there)
+// - priority / weight / runs: ordering (see above)
+// - id: identity across hot reloads (see above)
+// - media: files attached in the composer before submitting (see above)
+export const PROMPT_CONTROL_KEYS = ["settings", "deadLetter", ...PROMPT_ORDER_KEYS, "id", "media"];
+
+export function createPromptLoader(config) {
+  const { PROMPT_OBJECT_MODE, PROMPTS_FILE, PROMPTS_FORMAT, PROMPTS_TEXT_DELIMITER, selectors } = config;
+
+  // Each prompt is normalized to { text, settings, raw }: `text` is exactly what gets typed
+  // into the composer, `settings` holds the per-prompt overrides (empty when none) and
+  // `raw` is the item it came from (used to write it back, e.g. to the dead-letter file).
+  const normalizePromptItem = (item) => {
+    if (item === null || item === undefined) return null;
+    if (typeof item === "string") return item ? { text: item, settings: {}, raw: item } : null;
+    if (typeof item === "object") {
+      const payload = { ...item };
+      for (const k of PROMPT_CONTROL_KEYS) delete payload[k];
+      const overrides = extractPromptSettings(item.settings);
+      // A text prompt written back by the dead-letter file (lib/dead_letter.js).
+      const deadText = item.deadLetter && item.deadLetter.kind === "text" && typeof payload.prompt === "string";
+      if (deadText) return payload.prompt ? { text: payload.prompt, settings: overrides, raw: payload.prompt } : null;
+      if (PROMPT_OBJECT_MODE === "prompt" && typeof payload.prompt === "string") {
+        return { text: payload.prompt, settings: overrides, raw: item };
+      }
+      // Default: treat the entire object as the prompt payload.
+      return { text: JSON.stringify(payload, null, 2), settings: overrides, raw: item };
+    }
+    return { text: String(item), settings: {}, raw: item };
+  };
+
+  const defaultPromptEntries = () => DEFAULT_PROMPTS.map(normalizePromptItem);
+
+  // Global generation settings from config, with a prompt's overrides applied on top.
+  const resolveGenerationSettings = (overrides = {}) => ({
+    mode: selectors.modeChoice,
+    aspect: selectors.aspectChoice,
+    resolution: selectors.resolutionChoice,
+    duration: selectors.durationChoice,
+    variations: selectors.variationsChoice,
+    orientation: selectors.orientationChoice,
+    ...overrides,
+  });
+
+  // One prompts-file record (see lib/prompt_sources.js) -> list of entries. Template items
+  // (see lib/templates.js) expand into one entry per variable set; everything else maps to
+  // a single entry. Settings, ordering keys and `id` coming from the record (CSV columns)
+  // apply under the item's own, and a template's ordering keys under each rendered prompt's.
+  // A template's `id` gets ":1", ":2", ... per prompt unless the rendered prompt has its own;
+  // its `media` applies to every prompt unless the rendered prompt has its own. Media paths
+  // are relative to the prompts file's directory.
+  // Also used for prompts enqueued through the control API (`source` names them in errors).
+  const expandPromptItem = ({ item, settings: recordSettings, where }, source = path.basename(PROMPTS_FILE)) => {
+    const { priority, weight, runs, id: recordId, media: recordMedia, ...recordGeneration } = recordSettings || {};
+    const checked = (read) => {
+      try {
+        return read();
+      } catch (err) {
+        throw new Error(`${source} ${where}: ${err.message}`);
+      }
+    };
+    const order = (...layers) =>
+      checked(() => Object.assign({}, ...[{ priority, weight, runs }, ...layers].map(extractPromptOrder)));
+    const objectOf = (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : null);
+    const idOf = (value) => checked(() => extractPromptId((objectOf(value) || {}).id));
+    const withId = (id) => (id === undefined ? {} : { id });
+    const mediaDir = path.dirname(path.resolve(PROMPTS_FILE));
+    const mediaOf = (value) => checked(() => extractPromptMedia((objectOf(value) || {}).media, mediaDir));
+    const withMedia = (media) => (media === undefined ? {} : { media });
+    const base = extractPromptSettings(recordGeneration);
+    const ownId = idOf(item) ?? checked(() => extractPromptId(recordId));
+    const ownMedia = mediaOf(item) ?? checked(() => extractPromptMedia(recordMedia, mediaDir));
+    if (!isTemplateItem(item)) {
+      const one = normalizePromptItem(item);
+      if (!one) return [];
+      return [
+        {
+          ...one,
+          settings: { ...base, ...one.settings },
+          where,
+          ...order(objectOf(item)),
+          ...withId(ownId),
+          ...withMedia(ownMedia),
+        },
+      ];
+    }
+    let expanded;
+    try {
+      expanded = expandTemplateItem(item);
+    } catch (err) {
+      throw new Error(`${source} ${where}: template error: ${err.message}`);
+    }
+    const out = [];
+    for (const { item: rendered, settings } of expanded.outputs) {
+      const entry = normalizePromptItem(rendered);
+      if (!entry) continue;
+      entry.settings = { ...base, ...extractPromptSettings(settings), ...entry.settings };
+      entry.where = where;
+      Object.assign(entry, order(item, objectOf(rendered)));
+      Object.assign(entry, withId(idOf(rendered) ?? (ownId === undefined ? undefined : `${ownId}:${out.length + 1}`)));
+      Object.assign(entry, withMedia(mediaOf(rendered) ?? ownMedia));
+      out.push(entry);
+    }
+    return out;
+  };
+
+  // PROMPTS_FILE left at its default (./prompts.json) may be absent or empty; the built-in
+  // prompts are used then. A prompts file that was set explicitly must exist and hold prompts.
+  const fileIsDefault = (config.effective || []).some((e) => e.key === "PROMPTS_FILE" && e.source === "default");
+  const noPrompts = (why) => {
+    if (!fileIsDefault) throw new Error(`Prompts file ${PROMPTS_FILE} ${why}`);
+    console.warn(`Prompts file ${PROMPTS_FILE} ${why}; using the built-in prompts`);
+    return defaultPromptEntries();
+  };
+
+  // Parse errors (bad JSON, malformed CSV, template errors) are thrown with the file and
+  // line/row so they surface in preflight instead of silently falling back to defaults.
+  const loadPrompts = () => {
+    if (!fs.existsSync(PROMPTS_FILE)) return noPrompts("not found");
+    const { records } = readPromptSource(PROMPTS_FILE, {
+      format: PROMPTS_FORMAT,
+      textDelimiter: PROMPTS_TEXT_DELIMITER,
+      settingKeys: [...Object.entries(PROMPT_SETTING_KEYS).flat(), ...PROMPT_ORDER_KEYS, "id", "media"],
+    });
+    if (!records.length) return noPrompts("has no prompts");
+    const out = [];
+    for (const record of records) {
+      const entries = expandPromptItem(record);
+      if (!entries.length) {
+        console.warn(`Prompts file ${PROMPTS_FILE} ${record.where}: no prompt text; skipped`);
+      }
+      out.push(...entries);
+    }
+    // Ids must be unique for hot reload to tell the prompts apart.
+    const idAt = new Map();
+    for (const entry of out) {
+      if (entry.id === undefined) continue;
+      if (idAt.has(entry.id)) {
+        throw new Error(
+          `${path.basename(PROMPTS_FILE)} ${entry.where}: duplicate prompt id "${entry.id}" (already used at ${idAt.get(entry.id)})`
+        );
+      }
+      idAt.set(entry.id, entry.where);
+    }
+    return out.length ? out : noPrompts("has no prompt with text");
+  };
+
+  // Settings that change what a submission produces; part of the state key so a
+  // state file is never resumed against a different configuration.
+  const generationSettingsSnapshot = () => ({
+    ...resolveGenerationSettings(),
+    promptObjectMode: PROMPT_OBJECT_MODE,
+  });
+
+
+  return {
+    normalizePromptItem,
+    defaultPromptEntries,
+    resolveGenerationSettings,
+    generationSettingsSnapshot,
+    expandPromptItem,
+    loadPrompts,
+  };
+}
@@ -0,0 +1,1448 @@
+/**
+ * SoraQueue: the submission loop as a library.
+ *
+ *   import { createSoraQueue, loadConfig } from "./lib/index.js";
+ *
+ *   const queue = createSoraQueue({ config: loadConfig(), prompts: ["A lighthouse at dawn"] });
+ *   queue.on("submitted", ({ promptHash, taskId }) => console.log("submitted", promptHash, taskId));
+ *   const summary = await queue.start(); // resolves when the batch is done or stopped
+ *
+ * `config` is a resolved config (lib/config.js) or a plain object of config.json keys.
+ * `prompts` is a list of prompt items (strings, objects, templates); when omitted the queue
+ * reads PROMPTS_FILE and reloads it when it changes.
+ *
+ * Events (besides "event", which carries every structured event-log line):
+ * - capacity   { worker, inProgress, max, mode }  (per worker, see WORKERS)
+ * - submitted  { promptIndex, run, promptHash, taskId, adhoc, worker }
+ * - failed     { promptIndex, run, promptHash, worker, reason, status, attempt, willRetry }
+ * - skipped    { promptIndex, run, promptHash, reason }  (dead-lettered, skipped on request
+ *                or "duplicate": in the ledger, see lib/ledger.js)
+ * - backoff    { worker, status, url, durationMs, until, attempt, source, hintMs, reason, submitIntervalMs }
+ * - throttle   { worker, action, submitIntervalMs, previousIntervalMs, reason }  (widen/relax/reset)
+ * - quota      { worker, account, state, window, used, limit, resetAt }  (reached/released/run)
+ * - schedule   { state, closesAt, nextOpenAt }  (open/draining/closed, see SCHEDULE)
+ * - generation { taskId, state, ... }  (tracker record after each state change)
+ * - selector_pack { name, pinned, score, matches, scores, overridden }  (on connect)
+ * - paused / resumed / stopping
+ * - done       { reason, submitCount, skippedCount, duplicateCount, adhocSubmitted, generations, workers }
+ *
+ * The queue never exits the process; start() rejects if the browser goes away.
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { resolveConfig } from "./config.js";
+import { appendDeadLetter } from "./dead_letter.js";
+import { createDraftsDownloader } from "./downloader.js";
+import { createEventLog } from "./events.js";
+import { createSubmitLedger, newBatchId } from "./ledger.js";
+import { runPreflightTests } from "./preflight.js";
+import { createPromptLinter, formatLintReport } from "./prompt_lint.js";
+import { describePromptDiff, diffPrompts, promptIdentities } from "./prompt_identity.js";
+import { maxRuns, orderOf, pickNextPrompt, plannedTurns, remainingTurns } from "./prompt_order.js";
+import { createPromptLoader } from "./prompts.js";
+import { createQuotaTracker, describeQuotaBlock } from "./quota.js";
+import { createRateLimiter, parseRetryHint } from "./rate_limit.js";
+import { createSchedule, formatWait } from "./schedule.js";
+import { applySelectorPack, chooseSelectorPack, loadSelectorPacks, locateChain, PACK_KEYS } from "./selector_packs.js";
+import { createSoraDriver } from "./sora_driver.js";
+import { computeStateKey, draftMatchesPrompt, loadQueueState, promptHash, saveQueueState } from "./state.js";
+import { createGenerationTracker } from "./tracker.js";
+
+// How often an idle loop (outside the schedule) checks that each page still answers.
+const KEEPALIVE_MS = 60000;
+
+const renderProgressBar = (current, total, width = 20) => {
+  if (!total || !Number.isFinite(total)) {
+    return `[${"".padEnd(width, ".")}]`;
+  }
+  const ratio = Math.max(0, Math.min(1, current / total));
+  const filled = Math.round(ratio * width);
+  return `[${"#".repeat(filled).padEnd(width, ".")}]`;
+};
+
+/**
+ * Options:
+ * - config: resolved config or raw config.json-style object
+ * - prompts: prompt items to submit instead of PROMPTS_FILE
+ * - confirm(question): async yes/no, used when RESUME_MODE is "ask" (no prompt without it)
+ * - logStream: the caller's LOG_FILE stream, for the preflight log checks
+ */
+export function createSoraQueue({ config: rawConfig = {}, prompts: promptItems, confirm, logStream } = {}) {
+  const resolved = rawConfig.selectors ? rawConfig : resolveConfig(rawConfig);
+  if (!rawConfig.selectors) for (const warning of resolved.warnings) console.log(`Config warning: ${warning}`);
+  // Own copy of the selectors: the selector pack chosen on connect is written into it.
+  const config = { ...resolved, selectors: { ...resolved.selectors } };
+  const {
+    WORKERS,
+    BROWSER_MODE,
+    POLL_MS,
+    MIN_SUBMIT_INTERVAL_MS,
+    PROMPT_FILE_RUNS,
+    QUOTA_PER_RUN,
+    SCHEDULE_TIMEZONE,
+    EVENT_LOG_FILE,
+    FILL_TIMEOUT_MS,
+    AFTER_SUBMIT_WAIT_MS,
+    STATUS_LOG_EVERY_MS,
+    STATE_FILE,
+    RESUME_MODE,
+    START_AT,
+    TRACK_FILE,
+    TRACK_TIMEOUT_MS,
+    MAX_SUBMIT_RETRIES,
+    RETRY_BACKOFF_MS,
+    RETRY_BACKOFF_MAX_MS,
+    DEAD_LETTER_FILE,
+    DEDUP_LEDGER_FILE,
+    DEDUP_LOOKBACK_HOURS,
+    FORCE_RESUBMIT,
+    DOWNLOAD_DIR,
+    DOWNLOAD_POLL_MS,
+    DOWNLOAD_SCAN_COUNT,
+    DOWNLOAD_DRAIN_MS,
+    DRY_RUN_DIR,
+    SELECTOR_PACK,
+    SELECTOR_PACKS_DIR,
+    PROMPTS_FILE,
+    selectors,
+  } = config;
+
+  const queue = new EventEmitter();
+  const events = createEventLog(EVENT_LOG_FILE, { onEvent: (line) => queue.emit("event", line) });
+  const driver = createSoraDriver(config, { events });
+  const { getOrCreateDraftsPage, readRecentDraftTexts, preparePrompt, clearAttachments, submitPrompt, isGenEndpoint } =
+    driver;
+  const loader = createPromptLoader(config);
+  const { expandPromptItem, resolveGenerationSettings, generationSettingsSnapshot } = loader;
+  const { lintPrompts } = createPromptLinter(config);
+  const quotas = createQuotaTracker(config);
+  const ledger = createSubmitLedger(config);
+  const schedule = createSchedule(config);
+
+  // Prompt items -> entries; `source` names them in template errors.
+  const expandItems = (items, source, label = "item") => {
+    const entries = [];
+    items.forEach((item, i) => {
+      const where = `${label} ${i + 1}`;
+      const expanded = expandPromptItem({ item, where }, source);
+      if (!expanded.length) throw new Error(`${source} ${where}: no prompt text`);
+      entries.push(...expanded);
+    });
+    return entries;
+  };
+  // A caller-supplied list is used as-is; PROMPTS_FILE is reloaded when it changes.
+  const fromList = Array.isArray(promptItems);
+  const loadPrompts = fromList ? () => expandItems(promptItems, "prompt list") : loader.loadPrompts;
+  const promptsSource = fromList ? null : PROMPTS_FILE;
+
+  // --- Queue state (shared by the loop and the control methods) ---
+
+  let phase = "idle"; // idle -> running -> done
+  const prompts = [];
+  // The file prompt to submit next and its pass (see lib/prompt_order.js), and the finished
+  // turns of every file prompt.
+  let promptIndex = 0;
+  let cycle = 0;
+  let done = [];
+  // Each file prompt's identity (lib/prompt_identity.js), by index.
+  let identities = [];
+  let submitCount = 0;
+  // Confirmed submits by this process (file and ad-hoc), for QUOTA_PER_RUN.
+  let runSubmits = 0;
+  let stateKey = null;
+  let totalPlannedSubmits = null;
+  let tracker = null;
+  // The selector pack in use: { name, pinned, score, matches, scores, overridden } (null = none).
+  let selectorPack = null;
+  // One per browser endpoint (see WORKERS in lib/config.js), filled in on connect:
+  // { name, account, debugWs, profileDir, maxConcurrent, browser, page, inProgressStrategy,
+  //   limiter, backoffUntil, submitIntervalMs, quotaBlock, lastAttemptTs, lastInProgress, submitted }
+  const workers = [];
+  const multiWorker = WORKERS.length > 1;
+  // Retry bookkeeping for the item being submitted (reset whenever that item changes).
+  let attempts = 0;
+  let attemptsKey = null;
+  let retryAfterTs = 0;
+  let skippedCount = 0;
+  // File prompts skipped because the ledger shows an earlier batch submitted them.
+  let duplicateCount = 0;
+  // This batch in the ledger (lib/ledger.js); kept in the state file across a resume.
+  let batchId = null;
+
+  // Steering (pause/skip/stop/enqueue, e.g. from the control API). Ad-hoc prompts enqueued
+  // at the front go before the next file prompt; ones enqueued at the back are released
+  // when the current pass ends. Ad-hoc prompts are not kept in the state file.
+  const control = { paused: false, skip: false, stop: false };
+  const adhocQueue = [];
+  const adhocBack = [];
+  let adhocSeq = 0;
+  let adhocSubmitted = 0;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const prefixFor = (worker) => (multiWorker ? `[${worker.name}] ` : "");
+  // Where a worker's browser is: its CDP URL, or its profile directory in launch mode.
+  const endpointOf = (worker) => (BROWSER_MODE === "launch" ? worker.profileDir : worker.debugWs);
+
+  const runsDone = () => prompts.length > 0 && !pickNextPrompt(prompts, done, PROMPT_FILE_RUNS);
+  const runsLabel = () => maxRuns(prompts, PROMPT_FILE_RUNS) ?? "∞";
+
+  // Point promptIndex/cycle at the next file prompt. false when every prompt has used its runs.
+  const selectNext = () => {
+    const next = pickNextPrompt(prompts, done, PROMPT_FILE_RUNS);
+    if (!next) return false;
+    promptIndex = next.index;
+    cycle = next.pass;
+    return true;
+  };
+
+  // The item to submit next: the head of the ad-hoc queue, else the file prompt at the
+  // current position. null when there is nothing left.
+  const currentItem = () => {
+    if (adhocQueue.length) {
+      const entry = adhocQueue[0];
+      return { adhoc: true, entry, key: `adhoc:${entry.adhocId}`, label: `Ad-hoc prompt (${entry.where})` };
+    }
+    if (!prompts.length || runsDone()) return null;
+    return {
+      adhoc: false,
+      entry: prompts[promptIndex],
+      key: `file:${identities[promptIndex]}:${done[promptIndex] || 0}`,
+      label: `Prompt ${promptIndex + 1} (run ${cycle + 1})`,
+    };
+  };
+
+  const describeItem = (item) =>
+    item && {
+      source: item.adhoc ? "adhoc" : "file",
+      promptIndex: item.adhoc ? null : promptIndex,
+      order: item.adhoc ? null : orderOf(item.entry),
+      where: item.entry.where || null,
+      promptHash: promptHash(item.entry.text),
+      preview: item.entry.text.slice(0, 120),
+      settings: resolveGenerationSettings(item.entry.settings),
+      media: item.entry.media || null,
+    };
+
+  const describeWorker = (w) => ({
+    name: w.name,
+    account: w.account,
+    endpoint: endpointOf(w),
+    inProgress: w.lastInProgress,
+    maxConcurrent: w.maxConcurrent,
+    inProgressMode: w.inProgressStrategy ? w.inProgressStrategy.mode : null,
+    backoffRemainingMs: Math.max(0, w.backoffUntil - Date.now()),
+    ...w.limiter.state(),
+    quota: quotas.enabled ? quotas.usage(w.account) : null,
+    submitted: w.submitted,
+  });
+
+  const summary = (reason) => ({
+    reason,
+    submitCount,
+    skippedCount,
+    duplicateCount,
+    adhocSubmitted,
+    generations: tracker ? tracker.summary() : {},
+    workers: Object.fromEntries(workers.map((w) => [w.name, w.submitted])),
+  });
+
+  const scheduleStatus = () => {
+    const { open, submitting, closesAt, nextOpenAt } = schedule.state();
+    const iso = (ts) => ts && new Date(ts).toISOString();
+    return { open, submitting, closesAt: iso(closesAt), nextOpenAt: iso(nextOpenAt) };
+  };
+
+  const acted = (action, fields = {}) => {
+    console.log(`Queue control: ${action}`);
+    events.emit("control", { action, ...fields });
+    return { ok: true, action, ...fields };
+  };
+
+  // --- Resume ---
+
+  // Where to start: { done, submitCount, batchId } (see `done` above).
+  async function resolveResumePoint({ draftsPages }) {
+    const fresh = { done: prompts.map(() => 0), submitCount: 0, batchId: newBatchId() };
+    if (START_AT) {
+      const index = Math.min(START_AT, prompts.length) - 1;
+      console.log(`Starting at prompt ${index + 1}/${prompts.length} (START_AT); saved state not used.`);
+      // The prompts before it have had their first pass.
+      return { ...fresh, done: prompts.map((entry, i) => (i < index ? orderOf(entry).weight : 0)) };
+    }
+    if (RESUME_MODE === "off") return fresh;
+
+    const saved = loadQueueState(STATE_FILE);
+    if (!saved) return fresh;
+    if (saved.key !== stateKey) {
+      console.log(
+        `State file ${STATE_FILE} is for different prompts/settings; starting from prompt 1.`
+      );
+      return fresh;
+    }
+    if (saved.completed) {
+      console.log(`State file ${STATE_FILE} shows the previous batch completed; starting a new batch.`);
+      return fresh;
+    }
+
+    let submitCount = Number.isInteger(saved.submitCount) ? saved.submitCount : 0;
+    let done;
+    if (Array.isArray(saved.done) && saved.done.length === prompts.length && saved.done.every(Number.isInteger)) {
+      done = [...saved.done];
+    } else {
+      // Older state files only have the position in file order.
+      const index = Number.isInteger(saved.promptIndex) && saved.promptIndex < prompts.length ? saved.promptIndex : 0;
+      const pass = Number.isInteger(saved.cycle) ? saved.cycle : 0;
+      done = prompts.map((entry, i) => (pass + (i < index ? 1 : 0)) * orderOf(entry).weight);
+    }
+
+    // A submit was in flight when the previous process died: the click may or may not
+    // have reached Sora. Check the drafts page before deciding whether to resubmit it.
+    const pending = saved.pending;
+    const next = pickNextPrompt(prompts, done, PROMPT_FILE_RUNS);
+    if (pending && next && pending.promptIndex === next.index && pending.cycle === next.pass) {
+      const label = `Prompt ${next.index + 1} (run ${next.pass + 1})`;
+      if (!draftsPages.length) {
+        console.log(`${label} was mid-submit before the restart; drafts page unavailable, resubmitting it.`);
+      } else {
+        // The submit may have gone through any worker's account.
+        const texts = [];
+        for (const draftsPage of draftsPages) texts.push(...(await readRecentDraftTexts(draftsPage)));
+        if (texts.some((t) => draftMatchesPrompt(t, prompts[next.index].text))) {
+          console.log(`${label} was mid-submit before the restart and is on the drafts page; counting it.`);
+          submitCount += 1;
+          done[next.index] += 1;
+        } else {
+          console.log(`${label} was mid-submit before the restart but is not on the drafts page; resubmitting it.`);
+        }
+      }
+    }
+
+    if (submitCount === 0 && done.every((n) => n === 0)) return fresh;
+
+    const at = pickNextPrompt(prompts, done, PROMPT_FILE_RUNS);
+    const where =
+      `${at ? `prompt ${at.index + 1}/${prompts.length}, run ${at.pass + 1}/${runsLabel()}` : "the end of the batch"}` +
+      ` (${submitCount} already submitted, saved ${saved.updatedAt})`;
+    if (RESUME_MODE === "ask" && confirm) {
+      const yes = await confirm(`Resume from ${where}? [Y/n] `);
+      if (!yes) {
+        console.log("Resume declined; starting from prompt 1.");
+        return fresh;
+      }
+    }
+    console.log(`Resuming from ${where}`);
+    events.emit("resume", {
+      promptIndex: at ? at.index : null,
+      run: at ? at.pass + 1 : null,
+      submitCount,
+      savedAt: saved.updatedAt,
+    });
+    return { done, submitCount, batchId: saved.batchId || newBatchId() };
+  }
+
+  // --- Position bookkeeping ---
+
+  // Count a turn for the current prompt and pick the next one (see lib/prompt_order.js).
+  // Returns true once every prompt has used its runs.
+  const advancePosition = () => {
+    attempts = 0;
+    retryAfterTs = 0;
+    done[promptIndex] += 1;
+    const pass = cycle;
+    const more = selectNext();
+    if (more && cycle === pass) return false;
+    if (!more) cycle = pass + 1;
+    console.log(`Completed a full prompts pass. cycle=${cycle}`);
+    console.log(`Generation tracking: ${JSON.stringify(tracker.summary())}`);
+    events.emit("cycle_complete", { cycle, submitCount, skippedCount, generations: tracker.summary() });
+    if (adhocBack.length) {
+      console.log(`Releasing ${adhocBack.length} ad-hoc prompt(s) queued for the end of the pass.`);
+      adhocQueue.push(...adhocBack.splice(0));
+    }
+    return !more;
+  };
+
+  // Done with the current item (submitted, dead-lettered or skipped). Returns true when
+  // there is nothing left to submit.
+  const finishCurrent = (current) => {
+    if (current.adhoc) {
+      adhocQueue.shift();
+      attempts = 0;
+      retryAfterTs = 0;
+      return runsDone() && !adhocQueue.length;
+    }
+    return advancePosition() && !adhocQueue.length;
+  };
+
+  const persistState = (extra = {}) => {
+    try {
+      saveQueueState(STATE_FILE, {
+        key: stateKey,
+        promptsFile: promptsSource,
+        runs: PROMPT_FILE_RUNS,
+        promptIndex,
+        cycle,
+        done: [...done],
+        submitCount,
+        batchId,
+        ...extra,
+      });
+    } catch (err) {
+      console.log(`Failed to write state file ${STATE_FILE}: ${err.message}`);
+    }
+  };
+
+  // --- Selector pack ---
+
+  // Pick the selector pack for the live page (SELECTOR_PACK) and write it into
+  // config.selectors, leaving SORA_* selectors the user set alone. Runs on the first
+  // worker's page; the other workers use the same pack.
+  async function selectSelectorPack(page, packs) {
+    const pinned = SELECTOR_PACK.toLowerCase() === "auto" ? "" : SELECTOR_PACK;
+    const choice = await chooseSelectorPack(page, packs, { pinned });
+    if (!choice) {
+      console.log("No selector packs found; using the configured selectors.");
+      return;
+    }
+    const { pack, probe, probes } = choice;
+    const explicit = new Set((config.effective || []).filter((e) => e.source !== "default").map((e) => e.key));
+    const applied = applySelectorPack(config.selectors, pack, probe.matches, explicit);
+    selectorPack = {
+      name: pack.name,
+      pinned: !!pinned,
+      score: probe.score,
+      matches: Object.fromEntries(Object.entries(probe.matches).map(([key, m]) => [key, m && m.selector])),
+      scores: Object.fromEntries(probes.map((p) => [p.name, p.score])),
+      overridden: Object.keys(pack.selectors).filter((key) => !applied.includes(key)),
+    };
+
+    console.log(
+      `Selector pack: ${pack.name} (${pinned ? "pinned" : "auto"}; ${probe.detected.length}/${pack.detect.length} ` +
+        `detect elements found${probes.length > 1 ? `; ${probes.map((p) => `${p.name} ${Math.round(p.score * 100)}%`).join(", ")}` : ""})`
+    );
+    if (!probe.score) console.log(`⚠️  WARNING: no element of ${pack.name} was found on ${page.url()}`);
+    for (const [key, match] of Object.entries(probe.matches)) {
+      const how = selectorPack.overridden.includes(key)
+        ? `set by ${PACK_KEYS[key]}`
+        : match
+          ? `candidate ${match.index + 1}: ${match.selector.slice(0, 80)}`
+          : "not on the page now";
+      console.log(`  ${key}: ${how}`);
+    }
+    events.emit("selector_pack", selectorPack);
+    queue.emit("selector_pack", selectorPack);
+  }
+
+  // --- Run ---
+
+  // Attach to (or launch) one worker's browser, find its Sora tab and run the pre-flight tests there.
+  async function connectWorker(spec, { packs = null } = {}) {
+    // In-progress counts are capped at the worker's own limit.
+    const workerConfig = { ...config, MAX_CONCURRENT: spec.maxConcurrent };
+    const workerDriver =
+      spec.maxConcurrent === config.MAX_CONCURRENT ? driver : createSoraDriver(workerConfig, { events });
+    const browser = await workerDriver.openBrowser(spec);
+    const page = await workerDriver.getSoraPage(browser);
+    if (!page) {
+      await disconnect(browser);
+      throw new Error(`No matching Sora tab at ${endpointOf(spec)}; open it first or set SORA_OPEN_TAB.`);
+    }
+    if (packs) {
+      try {
+        await selectSelectorPack(page, packs);
+      } catch (err) {
+        await disconnect(browser);
+        throw err;
+      }
+    }
+    const inProgressStrategy = await workerDriver.detectInProgressStrategy(browser, page);
+
+    if (multiWorker) console.log(`Worker ${spec.name}: pre-flight tests on ${endpointOf(spec)}`);
+    const testResult = await runPreflightTests({
+      config: workerConfig,
+      driver: workerDriver,
+      loadPrompts,
+      browser,
+      page,
+      inProgressStrategy,
+      selectorPack,
+      events,
+      logStream,
+    });
+    return {
+      ...spec,
+      browser,
+      page,
+      inProgressStrategy,
+      testResult,
+      limiter: createRateLimiter(config),
+      backoffUntil: 0,
+      submitIntervalMs: MIN_SUBMIT_INTERVAL_MS,
+      quotaBlock: null,
+      lastAttemptTs: 0,
+      lastInProgress: null,
+      submitted: 0,
+      // Set once connected when DOWNLOAD_DIR is on (lib/downloader.js).
+      downloader: null,
+    };
+  }
+
+  // Connect every worker in turn. The pre-flight result is the first failing worker's
+  // (tagged with its name), else the first worker's.
+  async function connectAndCheck() {
+    // Read the selector packs first, so a broken pack file fails before any browser is touched.
+    const packs = SELECTOR_PACK.toLowerCase() === "off" ? null : loadSelectorPacks(SELECTOR_PACKS_DIR);
+    try {
+      for (const spec of WORKERS) workers.push(await connectWorker(spec, { packs: workers.length ? null : packs }));
+    } catch (err) {
+      await disconnectAll();
+      throw err;
+    }
+    const failed = workers.find((w) => !w.testResult.passed);
+    const testResult = failed
+      ? { ...failed.testResult, ...(multiWorker ? { worker: failed.name } : {}) }
+      : workers[0].testResult;
+    return { page: workers[0].page, testResult };
+  }
+
+  const disconnectAll = () => Promise.all(workers.map((w) => disconnect(w.browser)));
+
+  async function run() {
+    const { testResult } = await connectAndCheck();
+    if (!testResult.passed) {
+      events.emit("shutdown", { reason: "preflight_failed" });
+      await disconnectAll();
+      return { ...summary("preflight_failed"), preflight: testResult };
+    }
+
+    console.log(
+      multiWorker
+        ? `Connected ${workers.length} workers (${workers.map((w) => `${w.name} max ${w.maxConcurrent}`).join(", ")}). Maintaining queue…`
+        : "Connected. Maintaining queue…"
+    );
+
+    // Optional downloader for finished generations, one per worker: each account has its own
+    // drafts page, with its own tiles from before this run and its own submissions.
+    const downloading = !!DOWNLOAD_DIR;
+    for (const worker of workers) {
+      worker.downloader = downloading
+        ? createDraftsDownloader({
+            outputDir: DOWNLOAD_DIR,
+            gridSelector: selectors.draftsGrid,
+            spinnerSelector: selectors.draftsInProgressSpinner,
+            mediaSelector: selectors.draftsMedia,
+            scanCount: DOWNLOAD_SCAN_COUNT,
+            matchesPrompt: draftMatchesPrompt,
+            logPrefix: prefixFor(worker),
+          })
+        : null;
+    }
+    const pendingDownloads = () => workers.reduce((n, w) => n + (w.downloader ? w.downloader.pendingCount() : 0), 0);
+    // Follow each confirmed submission to succeeded/failed.
+    tracker = createGenerationTracker({
+      file: TRACK_FILE,
+      timeoutMs: TRACK_TIMEOUT_MS,
+      gridSelector: selectors.draftsGrid,
+      spinnerSelector: selectors.draftsInProgressSpinner,
+      onTransition: (record) => {
+        events.emit("generation", {
+          promptIndex: record.promptIndex,
+          run: record.run,
+          promptHash: record.promptHash,
+          taskId: record.taskId,
+          state: record.state,
+          via: record.via || null,
+          durations: record.durations || null,
+          failureReason: record.failureReason || null,
+          worker: record.worker || null,
+        });
+        queue.emit("generation", { ...record });
+      },
+    });
+    for (const { page, inProgressStrategy } of workers) {
+      tracker.attach(page);
+      if (inProgressStrategy.draftsPage && inProgressStrategy.draftsPage !== page) {
+        tracker.attach(inProgressStrategy.draftsPage);
+      }
+    }
+    const draftsPages = () => workers.map((w) => w.inProgressStrategy.draftsPage).filter(Boolean);
+
+    // Each account has its own drafts page; scan all of them. A worker's first poll records
+    // the tiles already there.
+    let lastDownloadPollTs = 0;
+    const pollDownloads = async (force = false) => {
+      if (!downloading) return;
+      if (!force && Date.now() - lastDownloadPollTs < DOWNLOAD_POLL_MS) return;
+      lastDownloadPollTs = Date.now();
+      for (const worker of workers) {
+        try {
+          let draftsPage = worker.inProgressStrategy.draftsPage;
+          if (!draftsPage || draftsPage.isClosed()) {
+            draftsPage = await getOrCreateDraftsPage(worker.browser, worker.page);
+          }
+          await worker.downloader.poll(draftsPage);
+        } catch (err) {
+          console.log(`${prefixFor(worker)}Downloader error: ${err.message}`);
+        }
+      }
+    };
+    await pollDownloads(true);
+
+    // Quotas: where each account stands, and a log line + event whenever a worker reaches or
+    // leaves its limit.
+    if (quotas.enabled) {
+      for (const account of new Set(workers.map((w) => w.account))) {
+        const usage = quotas.usage(account).map((u) => `${u.used}/${u.limit} ${u.label}`);
+        console.log(`Quota (${account}): ${usage.join(", ")}`);
+      }
+    }
+    const emitQuota = (fields) => {
+      events.emit("quota", fields);
+      queue.emit("quota", fields);
+    };
+    const noteQuota = (worker, block) => {
+      const was = worker.quotaBlock;
+      worker.quotaBlock = block;
+      if (!block === !was) return;
+      const b = block || was;
+      if (block) console.log(`${prefixFor(worker)}Quota reached: ${describeQuotaBlock(block, Date.now(), SCHEDULE_TIMEZONE)}. Sleeping until then.`);
+      else console.log(`${prefixFor(worker)}${b.label[0].toUpperCase()}${b.label.slice(1)} quota window reset; resuming.`);
+      emitQuota({
+        worker: worker.name,
+        account: worker.account,
+        state: block ? "reached" : "released",
+        window: b.window,
+        used: b.used,
+        limit: b.limit,
+        resetAt: new Date(b.resetAt).toISOString(),
+      });
+    };
+
+    // Schedule: log the windows, then a line + event whenever the state changes.
+    if (schedule.enabled) console.log(`Submit schedule: ${schedule.describe()}`);
+    if (ledger.checking) {
+      console.log(
+        `Ledger: skipping prompts submitted with the same settings in the last ${DEDUP_LOOKBACK_HOURS}h (${DEDUP_LEDGER_FILE})`
+      );
+    } else if (ledger.enabled && FORCE_RESUBMIT) {
+      console.log(`Ledger: FORCE_RESUBMIT is on; prompts in ${DEDUP_LEDGER_FILE} are submitted again`);
+    }
+    // An unreadable ledger never blocks a submit.
+    const findInLedger = (entry, now) => {
+      try {
+        const { text, settings, media } = entry;
+        return ledger.find({ text, settings: resolveGenerationSettings(settings), media }, batchId, now);
+      } catch (err) {
+        console.log(`Failed to read the ledger ${DEDUP_LEDGER_FILE}: ${err.message}`);
+        return null;
+      }
+    };
+    let scheduleState = null;
+    const describeSchedule = (slot, now) => {
+      const next = slot.nextOpenAt
+        ? `next window opens ${schedule.formatTime(slot.nextOpenAt)} (in ${formatWait(slot.nextOpenAt, now)})`
+        : "no upcoming window";
+      if (slot.draining) return `draining before the window closes at ${schedule.formatTime(slot.closesAt)}; ${next}`;
+      if (!slot.open) return `outside the submit schedule; ${next}`;
+      return `submit window open until ${schedule.formatTime(slot.closesAt)}`;
+    };
+    const noteSchedule = (slot, now) => {
+      const state = slot.draining ? "draining" : slot.open ? "open" : "closed";
+      if (!schedule.enabled || state === scheduleState) return;
+      scheduleState = state;
+      console.log(`Schedule: ${describeSchedule(slot, now)}.`);
+      const fields = {
+        state,
+        closesAt: slot.closesAt && new Date(slot.closesAt).toISOString(),
+        nextOpenAt: slot.nextOpenAt && new Date(slot.nextOpenAt).toISOString(),
+      };
+      events.emit("schedule", fields);
+      queue.emit("schedule", fields);
+    };
+    // While idle, check each page now and then, so a dead connection shows up when it happens
+    // rather than when the next window opens.
+    let lastKeepAliveTs = Date.now();
+    const keepAlive = async (now) => {
+      if (now - lastKeepAliveTs < KEEPALIVE_MS) return;
+      lastKeepAliveTs = now;
+      for (const worker of workers) {
+        const timeout = sleep(10000).then(() => {
+          throw new Error("no answer within 10s");
+        });
+        await Promise.race([worker.page.evaluate(() => document.readyState), timeout]).catch((err) =>
+          console.log(`${prefixFor(worker)}Keep-alive check failed: ${err.message}`)
+        );
+      }
+    };
+
+    // Apply a submit interval change from the worker's rate limiter.
+    const applyInterval = (worker, action, change, reason) => {
+      if (change) worker.submitIntervalMs = change.toMs;
+      const throttle = {
+        worker: worker.name,
+        action,
+        submitIntervalMs: worker.submitIntervalMs,
+        previousIntervalMs: change ? change.fromMs : worker.submitIntervalMs,
+        reason,
+      };
+      events.emit("throttle", throttle);
+      queue.emit("throttle", throttle);
+    };
+
+    // Track rate limits from network responses (per worker: one account's 429 does not
+    // hold back the others). See lib/rate_limit.js for the policy.
+    for (const worker of workers) {
+      worker.page.on("response", async (res) => {
+        try {
+          const url = res.url();
+          if (!isGenEndpoint(url)) return;
+          const status = res.status();
+          if (status !== 429) {
+            // Only a generation POST is a submit; the page's background GET polls would
+            // otherwise count as successes and undo the 429 escalation.
+            if (res.request().method() !== "POST") return;
+            const relaxed = worker.limiter.onResponse(status >= 200 && status < 300);
+            if (relaxed) {
+              console.log(`${prefixFor(worker)}Rate limit: ${relaxed.reason}`);
+              applyInterval(worker, relaxed.interval ? "relax" : "reset", relaxed.interval, relaxed.reason);
+            }
+            return;
+          }
+          // Block further submits right away; the body (which may carry the reset time) is
+          // read after.
+          worker.backoffUntil = Math.max(worker.backoffUntil, Date.now() + POLL_MS);
+          const body = await res.json().catch(() => null);
+          const hint = parseRetryHint({ headers: res.headers(), body });
+          const decision = worker.limiter.onRateLimited(hint);
+          worker.backoffUntil = decision.until;
+          console.log(
+            `${prefixFor(worker)}Received 429 from ${url}. Backing off for ${Math.round(decision.delayMs / 1000)}s (${decision.reason}).`
+          );
+          const backoff = {
+            worker: worker.name,
+            status,
+            url,
+            durationMs: decision.delayMs,
+            until: new Date(decision.until).toISOString(),
+            attempt: decision.attempt,
+            source: decision.source,
+            hintMs: decision.hintMs,
+            reason: decision.reason,
+            submitIntervalMs: worker.submitIntervalMs,
+          };
+          if (decision.interval) {
+            console.log(`${prefixFor(worker)}Rate limit: ${decision.interval.reason}`);
+            applyInterval(worker, "widen", decision.interval, decision.interval.reason);
+            backoff.submitIntervalMs = worker.submitIntervalMs;
+          }
+          events.emit("backoff", backoff);
+          queue.emit("backoff", backoff);
+        } catch (err) {
+          // Swallow logging errors.
+          console.error("response handler error", err);
+        }
+      });
+    }
+
+    prompts.push(...loadPrompts()); // initial load
+    identities = promptIdentities(prompts);
+    let promptsMtime = null;
+    let lastStatusLogTs = 0;
+    let stopReason = "completed";
+
+    // Resume position from the state file (if it matches these prompts/settings).
+    stateKey = computeStateKey({
+      promptsFile: promptsSource,
+      prompts,
+      settings: generationSettingsSnapshot(),
+    });
+    ({ done, submitCount, batchId } = await resolveResumePoint({ draftsPages: draftsPages() }));
+    selectNext();
+    // With START_AT the prompts before it are not part of this batch.
+    const planned = prompts.length ? plannedTurns(prompts, PROMPT_FILE_RUNS) : null;
+    totalPlannedSubmits =
+      planned === null ? null : planned - (START_AT ? done.reduce((sum, n) => sum + n, 0) : 0);
+
+    // Reload prompts if file changed (best effort; a caller-supplied list never reloads).
+    const reloadPromptsIfChanged = () => {
+      if (!promptsSource) return;
+      try {
+        const stat = fs.statSync(PROMPTS_FILE);
+        const mtime = stat.mtimeMs;
+        if (promptsMtime === null) promptsMtime = mtime;
+        if (mtime !== promptsMtime) {
+          // Only retry after the next save, even if this version fails to parse.
+          promptsMtime = mtime;
+          let fresh = [];
+          try {
+            fresh = loadPrompts();
+          } catch (err) {
+            console.log(`Prompts reload failed; keeping current prompts. ${err.message}`);
+            events.emit("prompts_reload", { ok: false, error: err.message });
+          }
+          if (fresh.length) {
+            const lint = lintPrompts(fresh);
+            for (const line of formatLintReport(lint)) console.log(line);
+            if (!lint.ok) {
+              console.log("Prompts reload rejected by the prompt lint (PROMPT_LINT=block); keeping current prompts.");
+              events.emit("prompts_reload", { ok: false, error: "lint", counts: lint.counts });
+              fresh = [];
+            }
+          }
+          if (fresh.length) {
+            // Match the new prompts to the old ones by id or content (lib/prompt_identity.js):
+            // unchanged prompts keep their finished turns, added and changed ones join the
+            // current pass, removed ones are dropped.
+            const diff = diffPrompts(prompts, fresh);
+            for (const line of describePromptDiff(diff, prompts, fresh)) console.log(line);
+            done = fresh.map((entry, i) =>
+              diff.matches[i] === null ? cycle * orderOf(entry).weight : done[diff.matches[i]]
+            );
+            prompts.splice(0, prompts.length, ...fresh);
+            identities = promptIdentities(prompts);
+            selectNext();
+            const remaining = remainingTurns(prompts, done, PROMPT_FILE_RUNS);
+            totalPlannedSubmits = remaining === null ? null : submitCount + remaining;
+            events.emit("prompts_reload", {
+              ok: true,
+              count: fresh.length,
+              added: diff.added.length,
+              removed: diff.removed.length,
+              changed: diff.changed.length,
+              unchanged: diff.unchanged,
+              planned: totalPlannedSubmits,
+            });
+            stateKey = computeStateKey({
+              promptsFile: promptsSource,
+              prompts,
+              settings: generationSettingsSnapshot(),
+            });
+            persistState();
+          }
+        }
+      } catch {}
+    };
+
+    // The next worker with a free slot: past its 429 backoff and submit interval, within its
+    // account's quota and under its concurrency. Workers take turns; null when none is ready.
+    let nextWorker = 0;
+    const pickWorker = async (now) => {
+      for (let k = 0; k < workers.length; k++) {
+        const worker = workers[(nextWorker + k) % workers.length];
+        if (now < worker.backoffUntil || now - worker.lastAttemptTs < worker.submitIntervalMs) continue;
+        const quota = quotas.check(worker.account, now);
+        noteQuota(worker, quota.ok ? null : quota);
+        if (!quota.ok) continue;
+        const count = await worker.inProgressStrategy.read();
+        worker.lastInProgress = count;
+        const capacity = {
+          worker: worker.name,
+          inProgress: count,
+          max: worker.maxConcurrent,
+          mode: worker.inProgressStrategy.mode,
+        };
+        events.emit("capacity", capacity);
+        queue.emit("capacity", capacity);
+        if (count < worker.maxConcurrent) {
+          nextWorker = (nextWorker + k + 1) % workers.length;
+          return worker;
+        }
+      }
+      return null;
+    };
+
+    // Why no worker can take a prompt right now, e.g. "in progress 3/3" or
+    // "alice: rate limit backoff 40s remaining; bob: in progress 3/3".
+    const describeWaiting = (now) =>
+      workers
+        .map((w) => {
+          const reason = w.quotaBlock
+            ? describeQuotaBlock(w.quotaBlock, now, SCHEDULE_TIMEZONE)
+            : now < w.backoffUntil
+              ? `rate limit backoff ${Math.ceil((w.backoffUntil - now) / 1000)}s remaining`
+              : now - w.lastAttemptTs < w.submitIntervalMs
+                ? `submit interval${w.submitIntervalMs > MIN_SUBMIT_INTERVAL_MS ? ` (widened to ${Math.round(w.submitIntervalMs / 1000)}s)` : ""}`
+                : `in progress ${w.lastInProgress ?? "?"}/${w.maxConcurrent}`;
+          return multiWorker ? `${w.name}: ${reason}` : reason;
+        })
+        .join("; ");
+
+    // Combined in-progress count plus the per-worker breakdown when there are several.
+    const describeCapacity = () => {
+      const inProgress = workers.reduce((n, w) => n + (w.lastInProgress || 0), 0);
+      const max = workers.reduce((n, w) => n + w.maxConcurrent, 0);
+      const breakdown = multiWorker
+        ? ` (${workers.map((w) => `${w.name} ${w.lastInProgress ?? "?"}/${w.maxConcurrent}`).join(", ")})`
+        : "";
+      return `${inProgress}/${max}${breakdown}`;
+    };
+
+    while (true) {
+      const now = Date.now();
+
+      for (const worker of workers) {
+        if (worker.page.isClosed() || !worker.browser.isConnected()) {
+          throw new Error(`${multiWorker ? `Worker ${worker.name}: ` : ""}Sora page or browser closed (${endpointOf(worker)})`);
+        }
+      }
+      reloadPromptsIfChanged();
+      await pollDownloads();
+      const pages = draftsPages();
+      for (const draftsPage of pages.length ? pages : [null]) await tracker.poll(draftsPage).catch(() => {});
+
+      if (control.stop) {
+        console.log("Stop requested. Exiting.");
+        persistState();
+        stopReason = "stopped";
+        break;
+      }
+
+      if (control.skip) {
+        control.skip = false;
+        const current = currentItem();
+        if (current) {
+          console.log(`${current.label} skipped on request.`);
+          events.emit("skip", { adhoc: current.adhoc, promptHash: promptHash(current.entry.text) });
+          queue.emit("skipped", {
+            promptIndex: current.adhoc ? null : promptIndex,
+            run: cycle + 1,
+            promptHash: promptHash(current.entry.text),
+            reason: "skip requested",
+          });
+          skippedCount += 1;
+          if (finishCurrent(current)) {
+            console.log("Every prompt has used its runs. Exiting.");
+            persistState({ completed: true });
+            break;
+          }
+          persistState();
+          continue;
+        }
+      }
+
+      if (control.paused) {
+        if (!STATUS_LOG_EVERY_MS || now - lastStatusLogTs >= STATUS_LOG_EVERY_MS) {
+          console.log("Paused.");
+          lastStatusLogTs = now;
+        }
+        await sleep(POLL_MS);
+        continue;
+      }
+
+      // Outside the schedule (or draining before a window closes) tracking and downloads
+      // carry on, but nothing new is submitted.
+      const slot = schedule.state(now);
+      noteSchedule(slot, now);
+      if (!slot.submitting) {
+        if (!STATUS_LOG_EVERY_MS || now - lastStatusLogTs >= STATUS_LOG_EVERY_MS) {
+          console.log(`Waiting: ${describeSchedule(slot, now)}`);
+          lastStatusLogTs = now;
+        }
+        await keepAlive(now);
+        await sleep(POLL_MS);
+        continue;
+      }
+
+      if (now < retryAfterTs) {
+        const waitMs = Math.min(POLL_MS, retryAfterTs - now);
+        if (!STATUS_LOG_EVERY_MS || now - lastStatusLogTs >= STATUS_LOG_EVERY_MS) {
+          console.log(`Waiting (retry backoff): ${waitMs}ms remaining`);
+          lastStatusLogTs = now;
+        }
+        await sleep(waitMs);
+        continue;
+      }
+
+      const worker = await pickWorker(now);
+      if (!worker) {
+        // Only log capacity/backoff waits; the submit interval is routine.
+        const quiet = workers.every(
+          (w) => !w.quotaBlock && now >= w.backoffUntil && now - w.lastAttemptTs < w.submitIntervalMs
+        );
+        if (!quiet && (!STATUS_LOG_EVERY_MS || now - lastStatusLogTs >= STATUS_LOG_EVERY_MS)) {
+          console.log(`Waiting: ${describeWaiting(now)}`);
+          lastStatusLogTs = now;
+        }
+        const soonestBackoff = Math.min(...workers.map((w) => (w.backoffUntil > now ? w.backoffUntil - now : POLL_MS)));
+        await sleep(Math.min(POLL_MS, soonestBackoff));
+        continue;
+      }
+      const { page, browser } = worker;
+
+      if (!prompts.length && !adhocQueue.length) {
+        console.log("No prompts loaded; waiting…");
+        await sleep(POLL_MS);
+        continue;
+      }
+
+      // Stop condition: every prompt has used its runs (PROMPT_FILE_RUNS or its own `runs`)
+      // and no ad-hoc prompts are still queued.
+      const current = currentItem();
+      if (!current) {
+        console.log("Every prompt has used its runs. Exiting.");
+        persistState({ completed: true });
+        break;
+      }
+      if (current.key !== attemptsKey) {
+        attempts = 0;
+        attemptsKey = current.key;
+      }
+
+      // Already submitted with the same settings by an earlier batch: skip it (ad-hoc
+      // prompts are always submitted).
+      const earlier = current.adhoc ? null : findInLedger(current.entry, now);
+      if (earlier) {
+        console.log(
+          `${current.label} was already submitted with the same settings at ${earlier.submittedAt} (${DEDUP_LEDGER_FILE}); skipping it. Use --force-resubmit to submit it anyway.`
+        );
+        const hash = promptHash(current.entry.text);
+        events.emit("duplicate", {
+          promptHash: hash,
+          submittedAt: earlier.submittedAt,
+          batch: earlier.batch,
+          taskId: earlier.taskId,
+        });
+        queue.emit("skipped", { promptIndex, run: cycle + 1, promptHash: hash, reason: "duplicate" });
+        skippedCount += 1;
+        duplicateCount += 1;
+        if (finishCurrent(current)) {
+          console.log("Every prompt has used its runs. Exiting.");
+          persistState({ completed: true });
+          break;
+        }
+        persistState();
+        continue;
+      }
+
+      // Take the quota slot before submitting: another process on the same account may have
+      // used it since pickWorker's check. It is given back if the submit does not go through.
+      let reservation;
+      try {
+        reservation = await quotas.reserve(worker.account);
+      } catch (err) {
+        console.log(`${prefixFor(worker)}Could not reserve a quota slot: ${err.message}`);
+        await sleep(POLL_MS);
+        continue;
+      }
+      noteQuota(worker, reservation.ok ? null : reservation);
+      if (!reservation.ok) continue;
+      const releaseQuota = () =>
+        quotas.release(worker.account, reservation.at).catch((err) => {
+          console.log(`${prefixFor(worker)}Failed to give back the quota slot: ${err.message}`);
+        });
+
+      const prompt = current.entry;
+      const progressBar = renderProgressBar(
+        submitCount,
+        totalPlannedSubmits ?? undefined
+      );
+      console.log(
+        `${progressBar} In progress: ${describeCapacity()} | ${current.adhoc ? "ad-hoc prompt" : `prompt ${promptIndex + 1}/${prompts.length}`} | run ${cycle + 1}/${runsLabel()} | submitted ${submitCount}/${totalPlannedSubmits ?? "∞"}${skippedCount ? ` | skipped ${skippedCount}` : ""}${adhocQueue.length + adhocBack.length ? ` | ad-hoc queued ${adhocQueue.length + adhocBack.length}` : ""}`
+      );
+      console.log(`${prefixFor(worker)}Submitting next prompt…`);
+      events.setContext({
+        promptIndex: current.adhoc ? null : promptIndex,
+        run: cycle + 1,
+        promptHash: promptHash(prompt.text),
+      });
+      events.emit("submit_attempt", {
+        attempt: attempts + 1,
+        adhoc: current.adhoc,
+        worker: worker.name,
+        settings: prompt.settings,
+      });
+
+      // Mark the submit as pending first: if we die between the click and the confirmation,
+      // the next start reconciles it against the drafts page instead of guessing.
+      // Ad-hoc prompts are not in the prompts file, so there is nothing to reconcile them with.
+      const pending = {
+        promptIndex: current.adhoc ? null : promptIndex,
+        cycle,
+        promptHash: promptHash(prompt.text),
+        worker: worker.name,
+        startedAt: new Date().toISOString(),
+      };
+      if (!current.adhoc) persistState({ pending });
+      const itemInfo = { promptIndex: pending.promptIndex, run: cycle + 1, promptHash: pending.promptHash };
+
+      // Stay on drafts page - submit directly from here (NO NAVIGATION)
+      let result;
+      try {
+        result = await submitPrompt(page, prompt);
+      } catch (err) {
+        // A closed page/browser is fatal; anything else counts as a failed attempt.
+        if (page.isClosed() || !browser.isConnected()) {
+          await releaseQuota();
+          throw err;
+        }
+        console.log(`Submit error: ${err.message}`);
+        result = { ok: false, reason: err.message };
+      }
+      const ok = result.ok;
+      worker.lastAttemptTs = Date.now();
+      if (!ok) await releaseQuota();
+      console.log(`${prefixFor(worker)}Submit result: ${ok ? "OK" : "NOT OK"}`);
+      events.emit("submit_result", {
+        ok,
+        worker: worker.name,
+        status: result.status ?? null,
+        taskId: result.taskId ?? null,
+        reason: result.reason ?? null,
+      });
+
+      // Small wait to let UI update
+      await page.waitForTimeout(500);
+
+      if (ok) {
+        tracker.recordSubmission({
+          promptIndex: pending.promptIndex,
+          cycle: pending.cycle,
+          promptHash: pending.promptHash,
+          taskId: result.taskId,
+          settings: resolveGenerationSettings(prompt.settings),
+          worker: worker.name,
+        });
+        if (worker.downloader) {
+          worker.downloader.recordSubmission({
+            promptIndex: pending.promptIndex,
+            cycle: pending.cycle,
+            text: prompt.text,
+            settings: resolveGenerationSettings(prompt.settings),
+            promptHash: pending.promptHash,
+            submittedAt: new Date().toISOString(),
+          });
+        }
+        if (current.adhoc) adhocSubmitted += 1;
+        else submitCount += 1;
+        worker.submitted += 1;
+        runSubmits += 1;
+        try {
+          ledger.record({
+            text: prompt.text,
+            settings: resolveGenerationSettings(prompt.settings),
+            media: prompt.media,
+            batch: batchId,
+            taskId: result.taskId,
+            worker: worker.name,
+            where: prompt.where,
+          });
+        } catch (err) {
+          console.log(`${prefixFor(worker)}Failed to record the submit in the ledger ${DEDUP_LEDGER_FILE}: ${err.message}`);
+        }
+        queue.emit("submitted", {
+          promptIndex: pending.promptIndex,
+          run: pending.cycle + 1,
+          promptHash: pending.promptHash,
+          taskId: result.taskId ?? null,
+          adhoc: current.adhoc,
+          worker: worker.name,
+        });
+        const lastSubmit = current.adhoc ? {} : { lastSubmit: { ...pending, confirmedAt: new Date().toISOString() } };
+        // If we just completed the final configured run, exit immediately (don't wait
+        // for the in-progress counter to drop).
+        if (finishCurrent(current)) {
+          console.log("Every prompt has used its runs. Exiting.");
+          persistState({ completed: true, ...lastSubmit });
+          break;
+        }
+        persistState(lastSubmit);
+        if (QUOTA_PER_RUN && runSubmits >= QUOTA_PER_RUN) {
+          console.log(`Reached QUOTA_PER_RUN=${QUOTA_PER_RUN}. Exiting.`);
+          emitQuota({
+            worker: worker.name,
+            account: worker.account,
+            state: "run",
+            window: "run",
+            used: runSubmits,
+            limit: QUOTA_PER_RUN,
+            resetAt: null,
+          });
+          stopReason = "quota";
+          break;
+        }
+        // Give UI time to register submission before rechecking.
+        if (AFTER_SUBMIT_WAIT_MS) await page.waitForTimeout(AFTER_SUBMIT_WAIT_MS);
+      } else if (result.status === 429) {
+        // Rate limits are not the prompt's fault: the response handler backs off and the
+        // same prompt is retried without counting an attempt.
+        queue.emit("failed", {
+          ...itemInfo,
+          worker: worker.name,
+          reason: result.reason,
+          status: 429,
+          attempt: attempts,
+          willRetry: true,
+        });
+        await sleep(Math.max(POLL_MS, 2000));
+      } else {
+        attempts += 1;
+        const reason = result.reason || "unknown";
+        // A missing media file fails every attempt the same way: dead-letter it right away.
+        const willRetry = !result.permanent && attempts <= MAX_SUBMIT_RETRIES;
+        queue.emit("failed", {
+          ...itemInfo,
+          worker: worker.name,
+          reason,
+          status: result.status ?? null,
+          attempt: attempts,
+          willRetry,
+        });
+        if (willRetry) {
+          const delay = Math.min(RETRY_BACKOFF_MAX_MS, RETRY_BACKOFF_MS * 2 ** (attempts - 1));
+          retryAfterTs = Date.now() + delay;
+          console.log(
+            `Submit attempt ${attempts}/${MAX_SUBMIT_RETRIES + 1} failed (${reason}); retrying in ${Math.round(delay / 1000)}s.`
+          );
+          events.emit("submit_retry", { attempt: attempts, reason, delayMs: delay });
+          continue;
+        }
+
+        // Out of retries: park the prompt in the dead-letter file and move on.
+        console.log(`${current.label} failed ${attempts} attempt(s) (${reason}); skipping it.`);
+        try {
+          appendDeadLetter(DEAD_LETTER_FILE, prompt, {
+            reason,
+            attempts,
+            promptIndex: pending.promptIndex,
+            run: cycle + 1,
+            source: prompt.where || null,
+          });
+          console.log(`Written to dead-letter file ${DEAD_LETTER_FILE}`);
+          events.emit("dead_letter", { attempts, reason, file: DEAD_LETTER_FILE });
+        } catch (err) {
+          console.log(`Failed to write dead-letter file ${DEAD_LETTER_FILE}: ${err.message}`);
+        }
+        skippedCount += 1;
+        queue.emit("skipped", { ...itemInfo, reason });
+        if (finishCurrent(current)) {
+          console.log("Every prompt has used its runs. Exiting.");
+          persistState({ completed: true });
+          break;
+        }
+        persistState();
+      }
+    }
+
+    // Keep collecting this run's generations for a while after the last submit.
+    if (downloading && DOWNLOAD_DRAIN_MS && (stopReason === "completed" || stopReason === "quota")) {
+      const drainUntil = Date.now() + DOWNLOAD_DRAIN_MS;
+      while (pendingDownloads() > 0 && Date.now() < drainUntil) {
+        console.log(`Waiting for ${pendingDownloads()} generation(s) to finish and download…`);
+        await sleep(Math.min(DOWNLOAD_POLL_MS, Math.max(0, drainUntil - Date.now())));
+        await pollDownloads(true);
+      }
+      if (pendingDownloads() > 0) {
+        console.log(`Stopped waiting with ${pendingDownloads()} generation(s) not downloaded.`);
+      }
+    }
+
+    // Clean shutdown: disconnect from CDP.
+    console.log(`Generation tracking: ${JSON.stringify(tracker.summary())} (details in ${TRACK_FILE})`);
+    console.log("Shutting down...");
+    events.emit("shutdown", {
+      reason: stopReason,
+      submitCount,
+      skippedCount,
+      generations: tracker.summary(),
+      ...(multiWorker ? { workers: Object.fromEntries(workers.map((w) => [w.name, w.submitted])) } : {}),
+    });
+    await disconnectAll();
+    return summary(stopReason);
+  }
+
+  // Close the CDP connection, without hanging on a slow browser.
+  const disconnect = async (browser) => {
+    try {
+      await Promise.race([browser.close(), new Promise((resolve) => setTimeout(resolve, 2000))]);
+    } catch {}
+  };
+
+  // --- Public API ---
+
+  queue.config = config;
+
+  /** Connect, run the preflight tests and submit until done/stopped. Resolves with a summary. */
+  queue.start = async () => {
+    if (phase !== "idle") throw new Error(`SoraQueue already ${phase}; create a new queue to run again.`);
+    phase = "running";
+    try {
+      const result = await run();
+      queue.emit("done", result);
+      return result;
+    } catch (err) {
+      events.emit("shutdown", { reason: "error", error: err?.message || String(err) });
+      queue.emit("done", { ...summary("error"), error: err?.message || String(err) });
+      throw err;
+    } finally {
+      phase = "done";
+      events.close();
+    }
+  };
+
+  /**
+   * Dry run: after the pre-flight tests, prepare each prompt of the first pass (from START_AT)
+   * exactly like a submit but stop before the click. A screenshot of each prepared composer
+   * and report.json go to DRY_RUN_DIR. Resolves with { reason, prepared, failed, report }.
+   */
+  queue.dryRun = async () => {
+    if (phase !== "idle") throw new Error(`SoraQueue already ${phase}; create a new queue to run again.`);
+    phase = "running";
+    try {
+      // Prepared on the first worker only: the composer is the same for every account.
+      const { page, testResult } = await connectAndCheck();
+      if (!testResult.passed) {
+        events.emit("shutdown", { reason: "preflight_failed" });
+        await disconnectAll();
+        return { reason: "preflight_failed", prepared: 0, failed: 0, report: null, preflight: testResult };
+      }
+
+      fs.mkdirSync(DRY_RUN_DIR, { recursive: true });
+      prompts.push(...loadPrompts());
+      const start = START_AT ? Math.min(START_AT, prompts.length) - 1 : 0;
+      const results = [];
+      for (let i = start; i < prompts.length && !control.stop; i++) {
+        const entry = prompts[i];
+        const label = `Prompt ${i + 1}/${prompts.length}`;
+        const steps = [];
+        let error = null;
+        console.log(`Dry run: preparing ${label}`);
+        try {
+          await preparePrompt(page, entry, steps, { dryRun: true });
+        } catch (err) {
+          error = err.message;
+        }
+        const screenshot = path.join(DRY_RUN_DIR, `prompt-${String(i + 1).padStart(3, "0")}.png`);
+        const shot = await page.screenshot({ path: screenshot }).then(() => screenshot, () => null);
+        // Leave the composer empty so nothing prepared here gets submitted by accident.
+        const promptBox = await locateChain(page, selectors.promptTextarea, { visible: true });
+        if (promptBox) await promptBox.first().fill("", { timeout: FILL_TIMEOUT_MS }).catch(() => {});
+        await clearAttachments(page);
+
+        const ok = !error && steps.every((s) => s.ok);
+        const failedSteps = steps.filter((s) => !s.ok).map((s) => `${s.step}${s.detail ? ` (${s.detail})` : ""}`);
+        console.log(`Dry run: ${label} ${ok ? "prepared" : `FAILED: ${error || failedSteps.join(", ")}`}`);
+        const result = {
+          promptIndex: i,
+          where: entry.where || null,
+          promptHash: promptHash(entry.text),
+          preview: entry.text.slice(0, 120),
+          settings: resolveGenerationSettings(entry.settings),
+          ok,
+          steps,
+          error,
+          screenshot: shot,
+        };
+        results.push(result);
+        events.emit("dry_run", {
+          promptIndex: i,
+          promptHash: result.promptHash,
+          ok,
+          failedSteps: steps.filter((s) => !s.ok).map((s) => s.step),
+          error,
+          screenshot: shot,
+        });
+      }
+
+      const report = path.join(DRY_RUN_DIR, "report.json");
+      const prepared = results.filter((r) => r.ok).length;
+      fs.writeFileSync(
+        report,
+        JSON.stringify(
+          { createdAt: new Date().toISOString(), promptsFile: promptsSource, selectorPack, prepared, results },
+          null,
+          2
+        )
+      );
+      console.log(`Dry run: ${prepared}/${results.length} prompt(s) prepared; report in ${report}`);
+      events.emit("shutdown", { reason: "dry_run", prepared, failed: results.length - prepared });
+      await disconnectAll();
+      return { reason: "dry_run", prepared, failed: results.length - prepared, report };
+    } finally {
+      phase = "done";
+      events.close();
+    }
+  };
+
+  /** Connect and run the pre-flight tests only. Resolves with { passed, results }. */
+  queue.preflight = async () => {
+    if (phase !== "idle") throw new Error(`SoraQueue already ${phase}; create a new queue to run again.`);
+    phase = "running";
+    try {
+      const { testResult } = await connectAndCheck();
+      events.emit("shutdown", { reason: testResult.passed ? "preflight_passed" : "preflight_failed" });
+      await disconnectAll();
+      return testResult;
+    } finally {
+      phase = "done";
+      events.close();
+    }
+  };
+
+  queue.status = () => ({
+    state: phase !== "running" ? phase : control.stop ? "stopping" : control.paused ? "paused" : "running",
+    inProgress: workers.length ? workers.reduce((n, w) => n + (w.lastInProgress || 0), 0) : null,
+    maxConcurrent: WORKERS.reduce((n, w) => n + w.maxConcurrent, 0),
+    inProgressMode: workers.length ? workers[0].inProgressStrategy.mode : null,
+    backoffRemainingMs: Math.max(0, ...workers.map((w) => w.backoffUntil - Date.now())),
+    retryBackoffRemainingMs: Math.max(0, retryAfterTs - Date.now()),
+    current: describeItem(currentItem()),
+    attempts,
+    prompts: prompts.length,
+    run: cycle + 1,
+    runs: prompts.length ? maxRuns(prompts, PROMPT_FILE_RUNS) : PROMPT_FILE_RUNS,
+    submitted: submitCount,
+    planned: totalPlannedSubmits,
+    runQuota: QUOTA_PER_RUN ? { used: runSubmits, limit: QUOTA_PER_RUN } : null,
+    schedule: schedule.enabled ? scheduleStatus() : null,
+    skipped: skippedCount,
+    duplicates: duplicateCount,
+    adhoc: { queued: adhocQueue.length, atPassEnd: adhocBack.length, submitted: adhocSubmitted },
+    generations: tracker ? tracker.summary() : {},
+    workers: workers.map(describeWorker),
+    selectorPack: selectorPack && selectorPack.name,
+  });
+
+  /** Stop submitting (running generations, tracking and downloads carry on). */
+  queue.pause = () => {
+    control.paused = true;
+    queue.emit("paused");
+    return acted("pause");
+  };
+
+  queue.resume = () => {
+    control.paused = false;
+    queue.emit("resumed");
+    return acted("resume");
+  };
+
+  /** Skip the current prompt (counted as skipped, not dead-lettered). */
+  queue.skip = () => {
+    const current = describeItem(currentItem());
+    if (!current) return { ok: false, error: "nothing to skip" };
+    control.skip = true;
+    return acted("skip", { current });
+  };
+
+  /** Graceful stop: finish the submit in flight, save the state and resolve start(). */
+  queue.stop = () => {
+    control.stop = true;
+    queue.emit("stopping");
+    return acted("stop");
+  };
+
+  /** Queue ad-hoc prompt items at the "front" (next) or "back" (end of the current pass). */
+  queue.enqueue = (items, position = "back") => {
+    if (!items.length) throw new Error("no prompts given");
+    const entries = expandItems(items, "enqueued", "enqueued item");
+    for (const entry of entries) entry.adhocId = ++adhocSeq;
+    // "back" means after the current pass; once the runs are done there is no pass left.
+    if (position === "front") adhocQueue.unshift(...entries);
+    else if (runsDone()) adhocQueue.push(...entries);
+    else adhocBack.push(...entries);
+    return acted("enqueue", { position, count: entries.length });
+  };
+
+  return queue;
+}
@@ -0,0 +1,188 @@
+/**
+ * Submission quotas per Sora account: at most QUOTA_PER_HOUR / QUOTA_PER_DAY confirmed
+ * submits per hour / day (0 = no limit).
+ *
+ * Submit times are kept in QUOTA_FILE, keyed by account (a worker's `account`, default its
+ * name), so the counts survive restarts and every process pointed at the same file and
+ * account shares them. Writes take a lock file next to it and replace the file atomically.
+ *
+ * A slot is reserved (under the lock) before each submit and given back when the submit
+ * fails. QUOTA_WINDOW "rolling" counts the last 60 minutes / 24 hours; "calendar" counts
+ * since the start of the current clock hour / day in SCHEDULE_TIMEZONE.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createZoneClock, formatWait } from "./schedule.js";
+
+const QUOTA_VERSION = 1;
+const MINUTE_MS = 60000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Submit times older than this are dropped on write (a calendar day can be 25 hours).
+const KEEP_MS = DAY_MS + 2 * HOUR_MS;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock file this old was left behind by a process that died while writing.
+const LOCK_STALE_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readQuotaFile = (file) => {
+  if (!fs.existsSync(file)) return { accounts: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (!parsed || parsed.version !== QUOTA_VERSION || typeof parsed.accounts !== "object") return { accounts: {} };
+    return parsed;
+  } catch (err) {
+    console.warn(`Failed to read quota file ${file}; starting from empty counts`, err.message);
+    return { accounts: {} };
+  }
+};
+
+async function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+      } catch {}
+      if (Date.now() > giveUpAt) {
+        throw new Error(`Quota file ${file} is locked (${lock}); delete the lock file if no other queue is running`);
+      }
+      await sleep(25);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+export function createQuotaTracker(config) {
+  const { QUOTA_FILE, QUOTA_PER_HOUR, QUOTA_PER_DAY, QUOTA_WINDOW, SCHEDULE_TIMEZONE } = config;
+  const limits = [
+    { window: "hour", label: "hourly", limit: QUOTA_PER_HOUR, span: HOUR_MS },
+    { window: "day", label: "daily", limit: QUOTA_PER_DAY, span: DAY_MS },
+  ].filter((l) => l.limit > 0);
+  const enabled = limits.length > 0;
+  const clock = createZoneClock(SCHEDULE_TIMEZONE);
+
+  // Where the current window started and when it next resets (calendar mode), on the
+  // SCHEDULE_TIMEZONE clock.
+  const calendarWindow = (window, now) => {
+    const w = clock.wallClock(now);
+    if (window === "hour") {
+      const start = Math.floor(now / MINUTE_MS) * MINUTE_MS - w.minute * MINUTE_MS;
+      return { start, next: start + HOUR_MS };
+    }
+    return { start: clock.wallToEpoch(w.year, w.month, w.day, 0), next: clock.wallToEpoch(w.year, w.month, w.day + 1, 0) };
+  };
+
+  const timesOf = (data, account) => (data.accounts[account] || []).filter(Number.isFinite).sort((a, b) => a - b);
+
+  // Usage per limited window for the submit times `times` (sorted).
+  const usageOf = (times, now) =>
+    limits.map(({ window, label, limit, span }) => {
+      if (QUOTA_WINDOW === "calendar") {
+        const { start, next } = calendarWindow(window, now);
+        const used = times.filter((t) => t >= start).length;
+        return { window, label, used, limit, resetAt: used >= limit ? next : null };
+      }
+      const inWindow = times.filter((t) => t > now - span);
+      const used = inWindow.length;
+      // Under a rolling window a slot frees up when enough of the oldest submits age out.
+      return { window, label, used, limit, resetAt: used >= limit ? inWindow[used - limit] + span : null };
+    });
+
+  // { ok: true } or { ok: false, window, label, used, limit, resetAt } for the limit that
+  // blocks longest.
+  const verdict = (times, now) => {
+    const blocked = usageOf(times, now)
+      .filter((u) => u.resetAt !== null)
+      .sort((a, b) => b.resetAt - a.resetAt)[0];
+    return blocked ? { ok: false, ...blocked } : { ok: true };
+  };
+
+  // Read, change and write QUOTA_FILE under its lock. `change(data)` may edit
+  // data.accounts; it returns [result, changed].
+  const update = async (now, change) => {
+    fs.mkdirSync(path.dirname(path.resolve(QUOTA_FILE)), { recursive: true });
+    return withLock(QUOTA_FILE, () => {
+      const data = readQuotaFile(QUOTA_FILE);
+      const [result, changed] = change(data);
+      if (!changed) return result;
+      const accounts = {};
+      for (const [name, times] of Object.entries(data.accounts)) {
+        const kept = (Array.isArray(times) ? times : []).filter((t) => Number.isFinite(t) && t > now - KEEP_MS);
+        if (kept.length) accounts[name] = kept;
+      }
+      const tmp = `${QUOTA_FILE}.${process.pid}.tmp`;
+      fs.writeFileSync(
+        tmp,
+        JSON.stringify({ version: QUOTA_VERSION, updatedAt: new Date(now).toISOString(), accounts }, null, 2)
+      );
+      fs.renameSync(tmp, QUOTA_FILE);
+      return result;
+    });
+  };
+
+  /**
+   * Usage of `account` per limited window: [{ window, label, used, limit, resetAt }], where
+   * resetAt is when a submit frees up (null while under the limit).
+   */
+  const usage = (account, now = Date.now()) => usageOf(timesOf(readQuotaFile(QUOTA_FILE), account), now);
+
+  /**
+   * Whether `account` may submit now, without taking a slot (see reserve): { ok: true } or
+   * { ok: false, window, label, used, limit, resetAt } for the limit that blocks longest.
+   */
+  const check = (account, now = Date.now()) => {
+    if (!enabled) return { ok: true };
+    return verdict(timesOf(readQuotaFile(QUOTA_FILE), account), now);
+  };
+
+  /**
+   * Take a slot for one submit of `account` before it happens: re-reads the file, checks
+   * and writes the submit time in one locked step, so processes sharing the file cannot
+   * both take the last slot. Returns check()'s result plus `at` (pass it to release()).
+   */
+  const reserve = async (account, now = Date.now()) => {
+    if (!enabled) return { ok: true, at: now };
+    return update(now, (data) => {
+      const result = verdict(timesOf(data, account), now);
+      if (!result.ok) return [result, false];
+      data.accounts[account] = [...(Array.isArray(data.accounts[account]) ? data.accounts[account] : []), now];
+      return [{ ok: true, at: now }, true];
+    });
+  };
+
+  // Give back a slot reserve() took at `at` (the submit did not go through).
+  const release = async (account, at) => {
+    if (!enabled) return;
+    await update(Date.now(), (data) => {
+      const times = Array.isArray(data.accounts[account]) ? data.accounts[account] : [];
+      const i = times.indexOf(at);
+      if (i === -1) return [undefined, false];
+      data.accounts[account] = times.filter((_, j) => j !== i);
+      return [undefined, true];
+    });
+  };
+
+  return { enabled, usage, check, reserve, release };
+}
+
+// "hourly quota 20/20, resets 14:05 (in 12m)", the time in `timeZone` ("" = local).
+export const describeQuotaBlock = (block, now = Date.now(), timeZone = "") => {
+  const at = new Date(block.resetAt).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: timeZone || undefined,
+  });
+  return `${block.label} quota ${block.used}/${block.limit}, resets ${at} (in ${formatWait(block.resetAt, now)})`;
+};
@@ -0,0 +1,186 @@
+/**
+ * Rate-limit policy for one worker (one Sora account): how long to back off after a 429 and
+ * how far apart to space submissions.
+ *
+ * - A reset hint from the server wins: Retry-After (seconds or HTTP date), retry-after-ms,
+ *   ratelimit-reset / x-ratelimit-reset(-requests) headers, or retry_after / reset_at style
+ *   fields in the JSON body. Jitter only ever adds to a hint.
+ * - Without a hint the backoff escalates on consecutive 429s: BACKOFF_429_MS *
+ *   BACKOFF_429_FACTOR^(n-1), capped at BACKOFF_429_MAX_MS, +/- BACKOFF_429_JITTER.
+ * - From the second 429 in a row the submit interval widens (x1.5, up to
+ *   MIN_SUBMIT_INTERVAL_MAX_MS). After BACKOFF_429_RESET_AFTER successful gen POSTs in a
+ *   row the escalation resets and the interval steps back towards MIN_SUBMIT_INTERVAL_MS.
+ *
+ * Every decision carries a `reason` string for the log.
+ */
+
+const INTERVAL_STEP = 1.5;
+// Hints beyond this are treated as garbage rather than honored.
+const MAX_HINT_MS = 24 * 3600 * 1000;
+
+const seconds = (ms) => `${Math.round(ms / 100) / 10}s`;
+
+// "30", "1.5s", "200ms", "6m0s", "1h2m3s" -> ms (a bare number is seconds); null otherwise.
+export const parseDuration = (text) => {
+  const s = String(text).trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s) * 1000;
+  if (!/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(s)) return null;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  for (const [, n, , unit] of s.matchAll(/(\d+(\.\d+)?)(ms|h|m|s)/g)) total += Number(n) * units[unit];
+  return total;
+};
+
+// A reset value that may be a delay or a point in time: epoch seconds/ms, an HTTP or ISO
+// date, or a duration. Returns ms from `now`, or null.
+const resetToMs = (value, now) => {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) {
+    if (n > 1e12) return n - now; // epoch ms
+    if (n > 1e9) return n * 1000 - now; // epoch seconds
+    return n * 1000;
+  }
+  const duration = parseDuration(value);
+  if (duration !== null) return duration;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date - now;
+};
+
+// Header name -> how to read it, in order of preference.
+const HEADER_HINTS = [
+  ["retry-after-ms", (v) => (Number.isFinite(Number(v)) ? Number(v) : null)],
+  ["retry-after", resetToMs],
+  ["ratelimit-reset", resetToMs],
+  ["x-ratelimit-reset-requests", resetToMs],
+  ["x-ratelimit-reset", resetToMs],
+];
+
+// Body field -> how to read it; checked on the body and on body.error.
+const BODY_HINTS = [
+  ["retry_after_ms", (v) => (Number.isFinite(Number(v)) ? Number(v) : null)],
+  ["retry_after", resetToMs],
+  ["retryAfter", resetToMs],
+  ["reset_at", resetToMs],
+  ["resets_at", resetToMs],
+  ["reset_seconds", resetToMs],
+];
+
+/**
+ * The server's idea of when to retry, from response headers (lower-case names, as
+ * Playwright's response.headers() gives them) and the parsed JSON body. Returns
+ * { ms, source } (source e.g. "header retry-after", "body error.retry_after") or null.
+ */
+export const parseRetryHint = ({ headers = {}, body = null, now = Date.now() } = {}) => {
+  const usable = (ms) => Number.isFinite(ms) && ms > 0 && ms <= MAX_HINT_MS;
+  for (const [name, read] of HEADER_HINTS) {
+    if (headers[name] === undefined) continue;
+    const ms = read(headers[name], now);
+    if (usable(ms)) return { ms: Math.ceil(ms), source: `header ${name}` };
+  }
+  const scopes = [
+    ["", body],
+    ["error.", body && body.error],
+  ];
+  for (const [prefix, scope] of scopes) {
+    if (!scope || typeof scope !== "object") continue;
+    for (const [field, read] of BODY_HINTS) {
+      if (scope[field] === undefined) continue;
+      const ms = read(scope[field], now);
+      if (usable(ms)) return { ms: Math.ceil(ms), source: `body ${prefix}${field}` };
+    }
+  }
+  return null;
+};
+
+export function createRateLimiter(config, { random = Math.random } = {}) {
+  const {
+    BACKOFF_429_MS,
+    BACKOFF_429_MAX_MS,
+    BACKOFF_429_FACTOR,
+    BACKOFF_429_JITTER,
+    BACKOFF_429_RESET_AFTER,
+    MIN_SUBMIT_INTERVAL_MS,
+    MIN_SUBMIT_INTERVAL_MAX_MS,
+  } = config;
+  const intervalCeiling = Math.max(MIN_SUBMIT_INTERVAL_MS, MIN_SUBMIT_INTERVAL_MAX_MS);
+
+  let consecutive = 0; // 429s since the escalation was last reset
+  let successStreak = 0;
+  let intervalMs = MIN_SUBMIT_INTERVAL_MS;
+
+  // Move the submit interval (within its bounds); { fromMs, toMs, text } or null if unchanged.
+  const changeInterval = (next) => {
+    const from = intervalMs;
+    intervalMs = Math.round(Math.min(intervalCeiling, Math.max(MIN_SUBMIT_INTERVAL_MS, next)));
+    if (intervalMs === from) return null;
+    return { fromMs: from, toMs: intervalMs, text: `submit interval ${seconds(from)} -> ${seconds(intervalMs)}` };
+  };
+
+  /**
+   * A 429 arrived (`hint` from parseRetryHint, or null). Returns
+   * { delayMs, until, attempt, source, hintMs, reason, interval } where `interval` is the
+   * submit interval change ({ fromMs, toMs, reason }) or null.
+   */
+  const onRateLimited = (hint, now = Date.now()) => {
+    consecutive += 1;
+    successStreak = 0;
+    let delayMs;
+    let reason;
+    if (hint) {
+      const jitter = Math.round(hint.ms * BACKOFF_429_JITTER * random());
+      delayMs = hint.ms + jitter;
+      reason = `${hint.source} says ${seconds(hint.ms)}${jitter ? ` (+${seconds(jitter)} jitter)` : ""}`;
+    } else {
+      const raw = BACKOFF_429_MS * BACKOFF_429_FACTOR ** (consecutive - 1);
+      const capped = Math.min(raw, BACKOFF_429_MAX_MS);
+      const spread = (random() * 2 - 1) * BACKOFF_429_JITTER;
+      delayMs = Math.round(Math.min(BACKOFF_429_MAX_MS, Math.max(1000, capped * (1 + spread))));
+      const jitter = Math.round((delayMs / capped - 1) * 100);
+      reason =
+        consecutive > 1
+          ? `no reset hint; 429 #${consecutive} in a row: ${seconds(BACKOFF_429_MS)} x ${BACKOFF_429_FACTOR}^${consecutive - 1}`
+          : `no reset hint; base backoff ${seconds(BACKOFF_429_MS)}`;
+      if (raw > capped) reason += ` capped at ${seconds(BACKOFF_429_MAX_MS)}`;
+      if (jitter) reason += `, jitter ${jitter > 0 ? "+" : ""}${jitter}%`;
+    }
+    const widened = consecutive > 1 ? changeInterval(intervalMs * INTERVAL_STEP) : null;
+    const interval = widened && {
+      ...widened,
+      reason: `throttling persists (${consecutive} 429s in a row): ${widened.text}`,
+    };
+    return {
+      delayMs,
+      until: now + delayMs,
+      attempt: consecutive,
+      source: hint ? hint.source : "escalation",
+      hintMs: hint ? hint.ms : null,
+      reason,
+      interval,
+    };
+  };
+
+  /**
+   * Any other gen response. Successes count towards a reset; errors break the run. Returns
+   * { reason, reset, interval } when a run of successes relaxes the limits, else null.
+   */
+  const onResponse = (ok) => {
+    if (!ok) {
+      successStreak = 0;
+      return null;
+    }
+    successStreak += 1;
+    if (successStreak < BACKOFF_429_RESET_AFTER || (!consecutive && intervalMs === MIN_SUBMIT_INTERVAL_MS)) return null;
+    successStreak = 0;
+    const reset = consecutive > 0;
+    consecutive = 0;
+    const relaxed = changeInterval(intervalMs / INTERVAL_STEP);
+    const changes = [reset ? "backoff escalation reset" : null, relaxed ? relaxed.text : null].filter(Boolean);
+    const reason = `${BACKOFF_429_RESET_AFTER} successful submit${BACKOFF_429_RESET_AFTER === 1 ? "" : "s"} in a row: ${changes.join(", ")}`;
+    return { reason, reset, interval: relaxed && { ...relaxed, reason } };
+  };
+
+  const state = () => ({ consecutive429: consecutive, submitIntervalMs: intervalMs });
+
+  return { onRateLimited, onResponse, state };
+}
@@ -0,0 +1,196 @@
+/**
+ * Submit schedule: the day/time windows in which the queue may submit (SCHEDULE), read in
+ * SCHEDULE_TIMEZONE (an IANA name such as "Europe/Berlin"; empty = the machine's zone).
+ *
+ * A window is "[days] HH:MM-HH:MM":
+ *   "Mon-Fri 01:00-07:00"   weeknights; days are names (Mon, Tue, ...), ranges or lists
+ *   "Sat,Sun 22:00-06:00"   ends past midnight: runs into the next day
+ *   "weekdays 09:00-17:00"  also "weekends", "daily" (same as no days)
+ *   "00:00-24:00"           all day, every day
+ * Days name the day a window starts. Overlapping windows merge. With SCHEDULE_DRAIN_MINUTES
+ * new submits stop that long before a window closes.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_ALIASES = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  "*": [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+const MINUTE_MS = 60000;
+
+const dayIndex = (name, text) => {
+  const i = DAY_NAMES.indexOf(name.slice(0, 3));
+  if (name.length < 3 || i === -1 || !/^[a-z]+$/.test(name)) throw new Error(`unknown day "${name}" in "${text}"`);
+  return i;
+};
+
+const parseDays = (spec, text) => {
+  const days = new Set();
+  for (const part of spec.toLowerCase().split(",").map((p) => p.trim()).filter(Boolean)) {
+    if (DAY_ALIASES[part]) {
+      DAY_ALIASES[part].forEach((d) => days.add(d));
+      continue;
+    }
+    const [from, to] = part.split("-").map((p) => p.trim());
+    const first = dayIndex(from, text);
+    const last = to === undefined ? first : dayIndex(to, text);
+    // Ranges may wrap around the week ("Fri-Mon").
+    for (let d = first; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === last) break;
+    }
+  }
+  return days;
+};
+
+const parseClock = (clock, text) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(clock);
+  const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  if (!m || Number(m[2]) > 59 || minutes > 24 * 60) throw new Error(`bad time "${clock}" in "${text}" (expected HH:MM)`);
+  return minutes;
+};
+
+/**
+ * Parse SCHEDULE entries into [{ text, days: Set of 0-6 (Sunday = 0), start, end }] with start
+ * and end in minutes after midnight (end <= start: the window ends the next day). Throws on
+ * a malformed entry.
+ */
+export const parseSchedule = (entries) =>
+  entries.map((entry) => {
+    const text = String(entry).trim();
+    const m = /^(?:(.*?)\s+)?(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/.exec(text);
+    if (!m) throw new Error(`"${text}" is not a window like "Mon-Fri 01:00-07:00"`);
+    const days = m[1] ? parseDays(m[1], text) : new Set(DAY_ALIASES.daily);
+    if (!days.size) throw new Error(`no days in "${text}"`);
+    const start = parseClock(m[2], text);
+    const end = parseClock(m[3], text);
+    if (start === 24 * 60) throw new Error(`window "${text}" cannot start at 24:00`);
+    return { text, days, start, end };
+  });
+
+// Whether `timeZone` is a zone Intl knows ("" = local).
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock helpers for `timeZone` (an IANA name; empty = the machine's zone):
+ * wallClock(ts) -> { year, month, day, hour, minute } and wallToEpoch(year, month, day,
+ * minutes after midnight) -> epoch ms. Days past the end of a month roll over.
+ */
+export function createZoneClock(timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || undefined,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+
+  // Wall-clock date and time at `ts` in the zone.
+  const wallClock = (ts) => {
+    const parts = Object.fromEntries(fmt.formatToParts(new Date(ts)).map((p) => [p.type, Number(p.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute };
+  };
+  // The zone's UTC offset at `ts`, in ms.
+  const offsetAt = (ts) => {
+    const w = wallClock(ts);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute) - Math.floor(ts / MINUTE_MS) * MINUTE_MS;
+  };
+  // The instant a wall-clock time (date + minutes after midnight) happens in the zone. Two
+  // passes settle DST changes; a time skipped by DST lands just after the jump.
+  const wallToEpoch = (year, month, day, minutes) => {
+    const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+    const first = asUtc - offsetAt(asUtc);
+    return asUtc - offsetAt(first);
+  };
+
+  return { wallClock, wallToEpoch };
+}
+
+export function createSchedule(config) {
+  const { SCHEDULE, SCHEDULE_TIMEZONE, SCHEDULE_DRAIN_MINUTES } = config;
+  const windows = parseSchedule(SCHEDULE);
+  const enabled = windows.length > 0;
+  const drainMs = SCHEDULE_DRAIN_MINUTES * MINUTE_MS;
+  const timeZone = SCHEDULE_TIMEZONE || undefined;
+  const { wallClock, wallToEpoch } = createZoneClock(timeZone);
+
+  // Open intervals [{ from, to }] (merged, sorted) for windows starting from yesterday to a
+  // week ahead of `now`.
+  const intervalsAround = (now) => {
+    const today = wallClock(now);
+    const raw = [];
+    for (let offset = -1; offset <= 8; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const [y, mo, d, weekday] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCDay()];
+      for (const w of windows) {
+        if (!w.days.has(weekday)) continue;
+        const from = wallToEpoch(y, mo, d, w.start);
+        const to = wallToEpoch(y, mo, d, w.end > w.start ? w.end : w.end + 24 * 60);
+        raw.push({ from, to });
+      }
+    }
+    raw.sort((a, b) => a.from - b.from);
+    const merged = [];
+    for (const i of raw) {
+      const last = merged[merged.length - 1];
+      if (last && i.from <= last.to) last.to = Math.max(last.to, i.to);
+      else merged.push({ ...i });
+    }
+    return merged;
+  };
+
+  /**
+   * Where `now` stands: { open, submitting, draining, closesAt, nextOpenAt } (epoch ms or
+   * null). `submitting` is false outside the windows and while draining; nextOpenAt is the
+   * start of the next window after the current one.
+   */
+  const state = (now = Date.now()) => {
+    if (!enabled) return { open: true, submitting: true, draining: false, closesAt: null, nextOpenAt: null };
+    const intervals = intervalsAround(now);
+    const current = intervals.find((i) => i.from <= now && now < i.to);
+    const next = intervals.find((i) => i.from > now);
+    const closesAt = current ? current.to : null;
+    const draining = !!current && drainMs > 0 && now >= current.to - drainMs;
+    return {
+      open: !!current,
+      submitting: !!current && !draining,
+      draining,
+      closesAt,
+      nextOpenAt: next ? next.from : null,
+    };
+  };
+
+  // "Tue 01:00" in the schedule's zone (plus the date when it is more than a week away).
+  const formatTime = (ts) =>
+    new Date(ts).toLocaleString("en-GB", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      ...(ts - Date.now() > 6 * 24 * 3600 * 1000 ? { day: "numeric", month: "short" } : {}),
+    });
+
+  const describe = () =>
+    `${windows.map((w) => w.text).join(", ")} (${SCHEDULE_TIMEZONE || "local time"})` +
+    (drainMs ? `; no new submits in the last ${SCHEDULE_DRAIN_MINUTES} min of a window` : "");
+
+  return { enabled, state, formatTime, describe };
+}
+
+// "3h05m" / "12m" until `ts`.
+export const formatWait = (ts, now = Date.now()) => {
+  const mins = Math.max(1, Math.ceil((ts - now) / MINUTE_MS));
+  return mins >= 60 ? `${Math.floor(mins / 60)}h${String(mins % 60).padStart(2, "0")}m` : `${mins}m`;
+};
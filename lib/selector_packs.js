@@ -0,0 +1,205 @@
+/**
+ * Selector packs: named, versioned sets of Sora DOM selectors.
+ *
+ * A pack is a JSON file in selector_packs/ (plus SELECTOR_PACKS_DIR, if set):
+ *
+ *   {
+ *     "name": "sora-2025-12",
+ *     "description": "Drafts page with the composer on top",
+ *     "detect": ["promptTextarea", "submitButton", "draftsGrid"],
+ *     "selectors": { "promptTextarea": ["textarea[placeholder*='Describe']", "textarea"], ... }
+ *   }
+ *
+ * Each logical element has an ordered list of candidates. At startup every pack is probed
+ * on the live Sora tab; the pack whose `detect` elements match best is used (newest name on
+ * a tie). The candidate that matched is moved to the front of its chain, and the chain is
+ * written into `selectors` for every element the user did not set explicitly (SORA_*).
+ * Chains stay lists: locateChain() tries the candidates in order where the element is
+ * used, anyOfChain() takes all of them where order does not matter.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const BUNDLED_PACKS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "selector_packs");
+
+// Logical element -> the config key that overrides it.
+export const PACK_KEYS = {
+  promptTextarea: "SORA_PROMPT",
+  submitButton: "SORA_SUBMIT",
+  inProgressCount: "SORA_IN_PROGRESS",
+  loadingOverlay: "SORA_LOADING",
+  draftsInProgressSpinner: "SORA_DRAFTS_IN_PROGRESS",
+  draftsGrid: "SORA_DRAFTS_GRID",
+  draftsMedia: "SORA_DRAFTS_MEDIA",
+  settingsTrigger: "SORA_SETTINGS_TRIGGER",
+  settingsMenu: "SORA_SETTINGS_MENU",
+  variationsButton: "SORA_VARIATIONS_BUTTON",
+  variationsOption: "SORA_VARIATIONS_OPTION",
+  mediaUpload: "SORA_MEDIA_UPLOAD",
+  mediaPreview: "SORA_MEDIA_PREVIEW",
+  mediaUploading: "SORA_MEDIA_UPLOADING",
+};
+
+const validatePack = (pack, file) => {
+  const fail = (msg) => {
+    throw new Error(`Selector pack ${file}: ${msg}`);
+  };
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) fail("must be a JSON object");
+  if (typeof pack.name !== "string" || !pack.name) fail('needs a "name"');
+  if (!pack.selectors || typeof pack.selectors !== "object") fail('needs a "selectors" object');
+  for (const [key, candidates] of Object.entries(pack.selectors)) {
+    if (!PACK_KEYS[key]) fail(`unknown element "${key}" (known: ${Object.keys(PACK_KEYS).join(", ")})`);
+    if (!Array.isArray(candidates) || !candidates.length || !candidates.every((c) => typeof c === "string" && c)) {
+      fail(`selectors.${key} must be a non-empty list of selector strings`);
+    }
+  }
+  const detect = pack.detect || Object.keys(pack.selectors);
+  if (!Array.isArray(detect) || !detect.length) fail('"detect" must be a non-empty list of element names');
+  for (const key of detect) if (!pack.selectors[key]) fail(`detect element "${key}" has no selectors`);
+  return { name: pack.name, description: pack.description || "", detect, selectors: pack.selectors, file };
+};
+
+/**
+ * Read the bundled packs and those in `extraDir` (a pack there replaces a bundled one of the
+ * same name). Sorted newest name first. Throws on unreadable or malformed pack files.
+ */
+export const loadSelectorPacks = (extraDir = "") => {
+  const byName = new Map();
+  for (const dir of [BUNDLED_PACKS_DIR, extraDir].filter(Boolean)) {
+    if (!fs.existsSync(dir)) {
+      if (dir === BUNDLED_PACKS_DIR) continue;
+      throw new Error(`SELECTOR_PACKS_DIR ${dir} not found`);
+    }
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+      const file = path.join(dir, name);
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+      } catch (err) {
+        throw new Error(`Selector pack ${file} is not valid JSON: ${err.message}`);
+      }
+      const pack = validatePack(raw, file);
+      byName.set(pack.name, pack);
+    }
+  }
+  return [...byName.values()].sort((a, b) => b.name.localeCompare(a.name));
+};
+
+// The first candidate of `key` present on the page: { index, selector } or null.
+const firstMatch = async (page, candidates) => {
+  for (let i = 0; i < candidates.length; i++) {
+    try {
+      if ((await page.locator(candidates[i]).count()) > 0) return { index: i, selector: candidates[i] };
+    } catch {}
+  }
+  return null;
+};
+
+/**
+ * Probe every element of `pack` on `page`. Returns { name, score, detected, matches } where
+ * `matches` maps each element to its first matching candidate (or null) and `score` is the
+ * share of `detect` elements found (0..1).
+ */
+export async function probeSelectorPack(page, pack) {
+  const matches = {};
+  for (const [key, candidates] of Object.entries(pack.selectors)) {
+    matches[key] = await firstMatch(page, candidates);
+  }
+  const detected = pack.detect.filter((key) => matches[key]);
+  return { name: pack.name, score: detected.length / pack.detect.length, detected, matches };
+}
+
+/**
+ * Pick the pack for `page`: `pinned` by name, else the best-scoring one (packs are newest
+ * first, so ties go to the newest). Returns { pack, probe, probes } or null without packs.
+ */
+export async function chooseSelectorPack(page, packs, { pinned = "" } = {}) {
+  if (pinned) {
+    const pack = packs.find((p) => p.name === pinned);
+    if (!pack) throw new Error(`Selector pack "${pinned}" not found (available: ${packs.map((p) => p.name).join(", ") || "none"})`);
+    const probe = await probeSelectorPack(page, pack);
+    return { pack, probe, probes: [probe] };
+  }
+  const probes = [];
+  for (const pack of packs) probes.push(await probeSelectorPack(page, pack));
+  if (!probes.length) return null;
+  let best = 0;
+  probes.forEach((probe, i) => {
+    if (probe.score > probes[best].score) best = i;
+  });
+  return { pack: packs[best], probe: probes[best], probes };
+}
+
+// A chain's candidates in order: a list as is, a single selector string as a chain of one.
+export const chainCandidates = (chain) =>
+  (Array.isArray(chain) ? chain : [chain]).filter((c) => typeof c === "string" && c.trim());
+
+// The locator of the first candidate with a match inside `scope` (with `visible`, a visible
+// first match), in chain order; null when none has one.
+const firstMatching = async (scope, candidates, visible) => {
+  for (const candidate of candidates) {
+    try {
+      const locator = scope.locator(candidate);
+      if (!(await locator.count())) continue;
+      if (!visible || (await locator.first().isVisible())) return locator;
+    } catch {}
+  }
+  return null;
+};
+
+/**
+ * Locator for the first candidate of `chain` that matches inside `scope` (a page or a
+ * locator), trying them in chain order; with `visible`, a candidate counts only when its
+ * first match is visible. Falls back to the first candidate (so waits and errors still
+ * name it); null for an empty chain.
+ */
+export async function locateChain(scope, chain, { visible = false } = {}) {
+  const candidates = chainCandidates(chain);
+  if (!candidates.length) return null;
+  return (await firstMatching(scope, candidates, visible)) || scope.locator(candidates[0]);
+}
+
+/**
+ * Wait until a candidate of `chain` matches inside `scope` (visibly, unless `visible` is
+ * false) and resolve to its locator, as locateChain() picks it. Throws after `timeout` ms.
+ */
+export async function waitForChain(scope, chain, { timeout = 5000, visible = true } = {}) {
+  const candidates = chainCandidates(chain);
+  if (!candidates.length) throw new Error("empty selector chain");
+  const giveUpAt = Date.now() + timeout;
+  while (true) {
+    const locator = await firstMatching(scope, candidates, visible);
+    if (locator) return locator;
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`none of ${candidates.join(" | ")} ${visible ? "visible" : "found"} within ${timeout}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// Everything any candidate of `chain` matches inside `scope`, for counting and waiting
+// where the candidate order does not matter; null for an empty chain.
+export const anyOfChain = (scope, chain) => {
+  const candidates = chainCandidates(chain);
+  if (!candidates.length) return null;
+  return candidates.slice(1).reduce((locator, c) => locator.or(scope.locator(c)), scope.locator(candidates[0]));
+};
+
+/**
+ * Write `pack` into `selectors` (in place), with each element's matched candidate first.
+ * Elements in `explicit` (config keys the user set) are left alone. Returns the elements taken
+ * from the pack.
+ */
+export const applySelectorPack = (selectors, pack, matches = {}, explicit = new Set()) => {
+  const applied = [];
+  for (const [key, candidates] of Object.entries(pack.selectors)) {
+    if (explicit.has(PACK_KEYS[key])) continue;
+    const match = matches[key];
+    const ordered = match ? [match.selector, ...candidates.filter((_, i) => i !== match.index)] : candidates;
+    selectors[key] = ordered;
+    applied.push(key);
+  }
+  return applied;
+};
@@ -0,0 +1,947 @@
+/**
+ * Sora page driver.
+ *
+ * Everything that touches the browser: attaching over CDP or launching Chromium, finding
+ * (or opening) the Sora and drafts tabs, reading the in-progress count (activity counter
+ * in the old UI, drafts spinners in the new one), attaching media, applying generation
+ * settings and submitting a prompt.
+ * createSoraDriver(config, { events }) binds these to a resolved config (lib/config.js);
+ * `events` is the structured event log (lib/events.js).
+ */
+
+import path from "path";
+import { chromium } from "playwright";
+import { createPromptLoader, unusableMedia } from "./prompts.js";
+import { anyOfChain, chainCandidates, locateChain, waitForChain } from "./selector_packs.js";
+import { extractGenerationId } from "./tracker.js";
+
+export function createSoraDriver(config, { events = { emit() {} } } = {}) {
+  const {
+    selectors,
+    MAX_CONCURRENT,
+    SORA_UI_MODE,
+    DRAFTS_RECENT_CHECK_COUNT,
+    DRAFTS_SPINNER_SAFETY_MARGIN,
+    FILL_TIMEOUT_MS,
+    CLICK_TIMEOUT_MS,
+    VISIBLE_TIMEOUT_MS,
+    GEN_REQUEST_TIMEOUT_MS,
+    GEN_RESPONSE_TIMEOUT_MS,
+    BROWSER_MODE,
+    BROWSER_HEADLESS,
+    BROWSER_EXECUTABLE,
+    BROWSER_ARGS,
+    SORA_TAB_URL,
+    SORA_TAB_TITLE,
+    SORA_TAB_INDEX,
+    SORA_OPEN_TAB,
+    MEDIA_UPLOAD_TIMEOUT_MS,
+  } = config;
+  const { resolveGenerationSettings } = createPromptLoader(config);
+
+  // Host serving the Sora UI, taken from SORA_DRAFTS_URL (so a local mock site works too).
+  const SORA_HOST = (() => {
+    try {
+      return new URL(selectors.draftsUrl).host.toLowerCase();
+    } catch {
+      return "sora.chatgpt.com";
+    }
+  })();
+
+  // SORA_TAB_URL as a test: "/.../" is a regex, anything else a case-insensitive substring.
+  const tabUrlMatches = (() => {
+    const m = /^\/(.+)\/([a-z]*)$/.exec(SORA_TAB_URL);
+    if (m) {
+      const re = new RegExp(m[1], m[2]);
+      return (url) => re.test(url);
+    }
+    const text = SORA_TAB_URL.toLowerCase();
+    return (url) => url.toLowerCase().includes(text);
+  })();
+
+  // Tabs that pass the SORA_TAB_URL / SORA_TAB_TITLE filters (or are on the Sora host when
+  // neither is set), in browser order.
+  async function findSoraTabs(browser) {
+    const matches = [];
+    for (const ctx of browser.contexts()) {
+      for (const page of ctx.pages()) {
+        const url = page.url();
+        const onSora = url.toLowerCase().includes("sora") || url.toLowerCase().includes(SORA_HOST);
+        if (SORA_TAB_URL ? !tabUrlMatches(url) : !onSora) continue;
+        if (SORA_TAB_TITLE) {
+          const title = await page.title().catch(() => "");
+          if (!title.toLowerCase().includes(SORA_TAB_TITLE.toLowerCase())) continue;
+        }
+        matches.push(page);
+      }
+    }
+    return matches;
+  }
+
+  // The tab the queue works on: "composer" (the old UI's composer and activity counter) or
+  // "drafts". SORA_OPEN_TAB names it; "auto" and "off" go by SORA_UI_MODE.
+  const soraTabKind = () =>
+    SORA_OPEN_TAB === "composer" || SORA_OPEN_TAB === "drafts" ? SORA_OPEN_TAB : SORA_UI_MODE === "old" ? "composer" : "drafts";
+
+  // URL opened when no tab matches (SORA_OPEN_TAB); null when opening is off.
+  const openTabUrl = () => {
+    if (SORA_OPEN_TAB === "off") return null;
+    return soraTabKind() === "composer" ? new URL("/", selectors.draftsUrl).href : selectors.draftsUrl;
+  };
+
+  // The Sora tab to drive: the SORA_TAB_INDEX-th matching tab (first when unset). When
+  // nothing matches, a tab is opened per SORA_OPEN_TAB; returns null when that is off.
+  async function getSoraPage(browser) {
+    const tabs = await findSoraTabs(browser);
+    const index = SORA_TAB_INDEX >= 0 ? SORA_TAB_INDEX : 0;
+    if (tabs[index]) {
+      if (tabs.length > 1) console.log(`Using Sora tab ${index + 1} of ${tabs.length}: ${tabs[index].url()}`);
+      return tabs[index];
+    }
+    if (tabs.length) {
+      console.log(`SORA_TAB_INDEX=${SORA_TAB_INDEX} but only ${tabs.length} matching tab(s).`);
+      return null;
+    }
+    const url = openTabUrl();
+    if (!url) return null;
+    const ctx = browser.contexts()[0];
+    if (!ctx) return null;
+    console.log(`No matching Sora tab; opening ${url}`);
+    // A fresh persistent profile starts with one blank tab; reuse it.
+    const blank = ctx.pages().find((p) => p.url() === "about:blank");
+    const page = blank || (await ctx.newPage());
+    try {
+      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    } catch (err) {
+      console.log(`Opening ${url} failed: ${err.message}`);
+    }
+    return page;
+  }
+
+  async function getOrCreateDraftsPage(browser, submitPage) {
+    const ctx = submitPage.context();
+    for (const p of ctx.pages()) {
+      if (p.url().toLowerCase().includes("/drafts")) return p;
+    }
+    const p = await ctx.newPage();
+    try {
+      await p.goto(selectors.draftsUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
+    } catch {}
+    return p;
+  }
+
+  // The drafts grid on `draftsPage` (its chain's first candidate that is there), or null.
+  async function draftsGridOf(draftsPage) {
+    const grid = await locateChain(draftsPage, selectors.draftsGrid);
+    return grid && (await grid.count()) > 0 ? grid.first() : null;
+  }
+
+  async function readInProgressFromActivityCounter(page) {
+    // Prefer explicit counter if provided. Some pages can render multiple matching nodes;
+    // we take the max numeric value found.
+    const counter = await locateChain(page, selectors.inProgressCount);
+    if (counter) {
+      const els = await counter.elementHandles().catch(() => []);
+      if (els.length) {
+        const nums = [];
+        for (const el of els) {
+          try {
+            const txt = (await el.innerText()).trim();
+            const num = parseInt(txt.replace(/\D+/g, ""), 10);
+            if (Number.isFinite(num)) nums.push(num);
+          } catch {}
+        }
+        if (nums.length) return Math.max(...nums);
+      }
+    }
+
+    // If a loading overlay/spinner is present, assume capacity is full.
+    const overlay = anyOfChain(page, selectors.loadingOverlay);
+    if (overlay && (await overlay.count().catch(() => 0)) > 0) return MAX_CONCURRENT;
+
+    // If nothing found, treat as 0 (UI often hides the counter when it's zero).
+    return 0;
+  }
+
+  async function readInProgressFromDraftsSpinner(draftsPage) {
+    if (!chainCandidates(selectors.draftsInProgressSpinner).length) return 0;
+    try {
+      // Each "in progress" tile shows a centered circular spinner overlay.
+      // Only check the most recent N tiles in the drafts grid to avoid counting unrelated spinners.
+      const grid = await draftsGridOf(draftsPage);
+      if (grid) {
+        const tiles = grid.locator("[data-index]");
+        const nTiles = await tiles.count();
+        const toCheck = Math.min(DRAFTS_RECENT_CHECK_COUNT, nTiles);
+        let inProg = 0;
+        for (let i = 0; i < toCheck; i++) {
+          const tile = tiles.nth(i);
+          const spinning = await anyOfChain(tile, selectors.draftsInProgressSpinner).count();
+          if (spinning > 0) inProg += 1;
+        }
+        return Math.min(MAX_CONCURRENT, inProg + DRAFTS_SPINNER_SAFETY_MARGIN);
+      }
+
+      // Fallback: count all spinners on the page (less accurate).
+      const n = await anyOfChain(draftsPage, selectors.draftsInProgressSpinner).count();
+      const base = Number.isFinite(n) ? Math.max(0, n) : 0;
+      return Math.min(MAX_CONCURRENT, base + DRAFTS_SPINNER_SAFETY_MARGIN);
+    } catch {
+      // If drafts tab was closed / navigated, be conservative: treat as full.
+      return MAX_CONCURRENT;
+    }
+  }
+
+  // Text shown on the most recent drafts tiles (caption + alt/title/aria-label of media).
+  // Used to reconcile a resumed queue with what actually reached Sora.
+  async function readRecentDraftTexts(draftsPage, limit = DRAFTS_RECENT_CHECK_COUNT) {
+    try {
+      const grid = await draftsGridOf(draftsPage);
+      if (!grid) return [];
+      const tiles = grid.locator("[data-index]");
+      const n = Math.min(limit, await tiles.count());
+      const texts = [];
+      for (let i = 0; i < n; i++) {
+        const text = await tiles
+          .nth(i)
+          .evaluate((el) => {
+            const parts = [el.innerText || ""];
+            for (const node of el.querySelectorAll("[alt], [title], [aria-label]")) {
+              parts.push(
+                node.getAttribute("alt") ||
+                  node.getAttribute("title") ||
+                  node.getAttribute("aria-label") ||
+                  ""
+              );
+            }
+            return parts.join(" ");
+          })
+          .catch(() => "");
+        if (text.trim()) texts.push(text);
+      }
+      return texts;
+    } catch {
+      return [];
+    }
+  }
+
+  async function detectInProgressStrategy(browser, submitPage) {
+    if (SORA_UI_MODE === "old") {
+      console.log("Sora UI mode: old (activity counter)");
+      return { mode: "activity", read: () => readInProgressFromActivityCounter(submitPage) };
+    }
+    if (SORA_UI_MODE === "new") {
+      console.log("Sora UI mode: new (drafts spinner)");
+      const draftsPage = await getOrCreateDraftsPage(browser, submitPage);
+      return {
+        mode: "drafts",
+        draftsPage,
+        read: async () => {
+          let p = draftsPage;
+          try {
+            if (p.isClosed()) p = await getOrCreateDraftsPage(browser, submitPage);
+          } catch {
+            p = await getOrCreateDraftsPage(browser, submitPage);
+          }
+          return readInProgressFromDraftsSpinner(p);
+        },
+      };
+    }
+
+    // Strategy A (original): activity counter exists on this page.
+    if (chainCandidates(selectors.inProgressCount).length) {
+      try {
+        const cnt = await anyOfChain(submitPage, selectors.inProgressCount).count();
+        if (cnt > 0) {
+          console.log("Sora UI mode: auto -> old (activity counter found)");
+          return { mode: "activity", read: () => readInProgressFromActivityCounter(submitPage) };
+        }
+      } catch {}
+    }
+
+    // Strategy B (alternate): drafts page with per-tile spinner overlay.
+    const draftsPage = await getOrCreateDraftsPage(browser, submitPage);
+    console.log("Sora UI mode: auto -> new (fallback to drafts spinner)");
+    return {
+      mode: "drafts",
+      draftsPage,
+      read: async () => {
+        // Re-open drafts tab if it got closed.
+        let p = draftsPage;
+        try {
+          if (p.isClosed()) p = await getOrCreateDraftsPage(browser, submitPage);
+        } catch {
+          p = await getOrCreateDraftsPage(browser, submitPage);
+        }
+        return readInProgressFromDraftsSpinner(p);
+      },
+    };
+  }
+
+  async function isSubmitEnabled(page) {
+    for (const selector of chainCandidates(selectors.submitButton)) {
+      try {
+        const btn = await page.$(selector);
+        if (btn) {
+          const disabled =
+            (await btn.getAttribute("disabled")) !== null ||
+            (await btn.getAttribute("data-disabled")) === "true";
+          if (!disabled) return true;
+        }
+      } catch {}
+    }
+    return false;
+  }
+
+  const normalizeMode = (s) => (s || "").toString().trim().toLowerCase();
+
+  // The composer: the nearest ancestor of the prompt textarea that holds the Create/Generate label.
+  async function composerOf(page) {
+    const textarea = (await locateChain(page, selectors.promptTextarea, { visible: true })) || page.locator("textarea");
+    return textarea
+      .first()
+      .locator(
+        "xpath=ancestor-or-self::*[.//span[contains(@class,'sr-only') and (contains(.,'Create video') or contains(.,'Create image') or contains(.,'Generate'))]][1]"
+      );
+  }
+
+  async function ensureModeOldUI(page, modeChoice) {
+    const desired = normalizeMode(modeChoice);
+    if (desired !== "image" && desired !== "video") return;
+
+    // Scope to composer region to avoid sidebar clicks.
+    const composer = await composerOf(page);
+
+    const desiredLabel = desired === "image" ? "Image" : "Video";
+    const otherLabel = desired === "image" ? "Video" : "Image";
+
+    // If desired label is already shown as selected in the composer, do nothing.
+    // Heuristic: a selected pill tends to have higher opacity / inverse bg; we just check presence of label.
+    const desiredBtn = composer.locator(`button:has-text("${desiredLabel}")`).first();
+    const otherBtn = composer.locator(`button:has-text("${otherLabel}")`).first();
+
+    try {
+      if ((await desiredBtn.count()) > 0) {
+        // If the other is disabled and desired exists, assume correct.
+        // Otherwise, try clicking desired to force selection.
+        await desiredBtn.click({ timeout: 1000, force: true }).catch(() => {});
+        return;
+      }
+    } catch {}
+
+    // Fallback: try anywhere on page, still preferring buttons (not sidebar links).
+    const global = page.locator(`button:has-text("${desiredLabel}")`).first();
+    await global.click({ timeout: 1500, force: true }).catch(() => {});
+  }
+
+  function preferredSubmitSelectors(modeChoice) {
+    const raw = chainCandidates(selectors.submitButton);
+    const desired = normalizeMode(modeChoice);
+    const want = desired === "image" ? "Create image" : desired === "video" ? "Create video" : null;
+    if (!want) return raw;
+
+    const preferred = [];
+    const rest = [];
+    for (const sel of raw) {
+      if (sel.includes(want)) preferred.push(sel);
+      else rest.push(sel);
+    }
+    return preferred.concat(rest);
+  }
+
+  async function applyChoice(page, label) {
+    if (!label) return;
+    // Legacy behavior was "no-op" (we don't reliably automate these in old UI).
+    // Crucially: do NOT log as an error-like message; it causes noise/confusion.
+    const already = await page.locator(`button:has-text("${label}")`).count();
+    if (already > 0) return;
+    // Keep silent when not found.
+  }
+
+  // `dryRun` skips the type-and-Enter fallback: Enter in the composer can start a generation.
+  async function applyVariationsChoice(page, label, { dryRun = false } = {}) {
+    if (!label) return;
+    // If already set, skip.
+    const existing = await page.locator(`button:has-text("${label}")`).count();
+    if (existing > 0) return;
+
+    // Try to open the variations dropdown.
+    const buttonChain = chainCandidates(selectors.variationsButton).length
+      ? chainCandidates(selectors.variationsButton)
+      : [`button:has-text("${label}")`];
+    try {
+      const btn = await locateChain(page, buttonChain, { visible: true });
+      await btn.first().click({ timeout: VISIBLE_TIMEOUT_MS, force: true });
+    } catch (err) {
+      console.log(`Variations button not clickable (${buttonChain.join(" | ")}): ${err.message}`);
+      return;
+    }
+
+    // Try to pick the desired option: the first candidate that lists the label, else the first candidate.
+    const optionChain = chainCandidates(selectors.variationsOption).length
+      ? chainCandidates(selectors.variationsOption)
+      : [`[role="option"]:has-text("${label}")`];
+    let opt = null;
+    for (const candidate of optionChain) {
+      const loc = page.locator(candidate).filter({ hasText: label });
+      if ((await loc.count().catch(() => 0)) > 0) {
+        opt = loc.first();
+        break;
+      }
+    }
+    if (!opt) opt = page.locator(optionChain[0]).filter({ hasText: label }).first();
+    try {
+      await opt.click({ timeout: VISIBLE_TIMEOUT_MS, force: true });
+      return;
+    } catch (err) {
+      console.log(`Variations option not clickable (${optionChain.join(" | ")}): ${err.message}`);
+    }
+
+    // If still not set, try sending Enter after typing the label.
+    if (dryRun) return;
+    try {
+      await page.keyboard.insertText(label);
+      await page.keyboard.press("Enter");
+    } catch {}
+  }
+
+  const mapDurationLabel = (raw) => {
+    if (!raw) return "";
+    const s = String(raw).trim().toLowerCase();
+    if (s === "10s" || s === "10 sec" || s === "10secs" || s === "10 seconds") return "10 seconds";
+    if (s === "15s" || s === "15 sec" || s === "15secs" || s === "15 seconds") return "15 seconds";
+    return raw;
+  };
+
+  const inferOrientation = (explicitOrientation, aspect) => {
+    if (explicitOrientation) return explicitOrientation;
+    const a = (aspect || "").toString().toLowerCase();
+    // Common mapping: 9:16 => Portrait, 16:9 => Landscape
+    if (a.includes("9:16") || a.includes("portrait")) return "Portrait";
+    if (a.includes("16:9") || a.includes("landscape")) return "Landscape";
+    return "";
+  };
+
+  async function openSettingsMenu(page) {
+    const menu = await locateChain(page, selectors.settingsMenu, { visible: true });
+    try {
+      if (menu && (await menu.first().isVisible())) return true;
+    } catch {}
+
+    // Strategy 1: user-provided selector.
+    if (chainCandidates(selectors.settingsTrigger).length) {
+      try {
+        const trigger = await locateChain(page, selectors.settingsTrigger, { visible: true });
+        await trigger.first().click({ timeout: CLICK_TIMEOUT_MS, force: true });
+        await waitForChain(page, selectors.settingsMenu, { timeout: VISIBLE_TIMEOUT_MS });
+        return true;
+      } catch {}
+    }
+
+    // Strategy 2: auto-detect the trigger, but ONLY inside the composer area
+    // (avoid sidebar buttons like Explore/Profile/etc).
+    const composer = await composerOf(page);
+
+    const candidates = composer
+      .locator("button[aria-haspopup='menu'], button[aria-expanded]")
+      .filter({ has: composer.locator("svg") });
+
+    const n = await candidates.count();
+    for (let i = 0; i < Math.min(n, 8); i++) {
+      const btn = candidates.nth(i);
+      try {
+        // Skip disabled buttons.
+        const disabled =
+          (await btn.getAttribute("disabled")) !== null ||
+          (await btn.getAttribute("data-disabled")) === "true";
+        if (disabled) continue;
+        await btn.click({ timeout: 1000, force: true });
+        await waitForChain(page, selectors.settingsMenu, { timeout: 1000 });
+        return true;
+      } catch {}
+    }
+
+    return false;
+  }
+
+  async function applyNewFormatVideoSettings(page, settings) {
+    // New format: only Orientation + Duration exist in a radix menu.
+    // If we can't open/see the menu, return false and let legacy logic run.
+    const opened = await openSettingsMenu(page);
+    if (!opened) return false;
+
+    const menuChain = await locateChain(page, selectors.settingsMenu, { visible: true });
+    if (!menuChain) return false;
+    const menu = menuChain.first();
+    const hasOrientationRow = (await menu.locator(":scope >> text=Orientation").count()) > 0;
+    const hasDurationRow = (await menu.locator(":scope >> text=Duration").count()) > 0;
+    if (!hasOrientationRow && !hasDurationRow) return false;
+
+    // Orientation
+    const desiredOrientation = inferOrientation(settings.orientation, settings.aspect);
+    if (desiredOrientation) {
+      try {
+        await menu.locator("[role='menuitem']:has-text('Orientation'), [role='menuitemradio']:has-text('Orientation')").first()
+          .click({ timeout: CLICK_TIMEOUT_MS, force: true });
+      } catch {}
+      try {
+        await page
+          .locator("[role='menuitemradio']")
+          .filter({ hasText: desiredOrientation })
+          .first()
+          .click({ timeout: CLICK_TIMEOUT_MS, force: true });
+        // Close menu/submenu
+        await page.keyboard.press("Escape").catch(() => {});
+      } catch {}
+    }
+
+    // Duration
+    const desiredDuration = mapDurationLabel(settings.duration);
+    if (desiredDuration) {
+      try {
+        await menu.locator("[role='menuitem']:has-text('Duration'), [role='menuitemradio']:has-text('Duration')").first()
+          .click({ timeout: CLICK_TIMEOUT_MS, force: true });
+      } catch {}
+      try {
+        await page
+          .locator("[role='menuitemradio']")
+          .filter({ hasText: desiredDuration })
+          .first()
+          .click({ timeout: CLICK_TIMEOUT_MS, force: true });
+        await page.keyboard.press("Escape").catch(() => {});
+      } catch {}
+    }
+
+    return true;
+  }
+
+  const isGenEndpoint = (url) =>
+    (url.includes("backend/") &&
+      (url.includes("video_gen") || url.includes("image_gen") || url.includes("gen")));
+
+  async function waitForGenRequest(page, timeoutMs) {
+    return page
+      .waitForRequest(
+        (req) => isGenEndpoint(req.url()),
+        { timeout: timeoutMs }
+      )
+      .catch(() => null);
+  }
+
+  // Pages whose composer may still hold attachments from a prompt that was not submitted.
+  const leftoverMedia = new WeakSet();
+
+  // Attach `files` through the composer's upload control (a file input, or a button that
+  // opens a file chooser) and wait until each shows a thumbnail and no upload is still
+  // running. Returns null when done, else { reason, permanent }; `permanent` (a missing
+  // file) means a retry cannot help.
+  async function attachMedia(page, files) {
+    const unusable = unusableMedia(files);
+    if (unusable.length) return { reason: `media file(s) missing: ${unusable.join(", ")}`, permanent: true };
+
+    const upload = await locateChain(page, selectors.mediaUpload);
+    const control = upload && upload.first();
+    if (!control || !(await control.count().catch(() => 0))) {
+      return { reason: "media upload control not found", permanent: false };
+    }
+    const previews = anyOfChain(page, selectors.mediaPreview);
+    const uploadingNow = anyOfChain(page, selectors.mediaUploading);
+    const countOf = (loc) => (loc ? loc.count().catch(() => 0) : 0);
+    const before = await countOf(previews);
+    const startedAt = Date.now();
+    leftoverMedia.add(page);
+    try {
+      const isFileInput = await control.evaluate((el) => el.tagName === "INPUT" && el.type === "file");
+      if (isFileInput) {
+        await control.setInputFiles(files, { timeout: MEDIA_UPLOAD_TIMEOUT_MS });
+      } else {
+        const [chooser] = await Promise.all([
+          page.waitForEvent("filechooser", { timeout: CLICK_TIMEOUT_MS }),
+          control.click({ timeout: CLICK_TIMEOUT_MS }),
+        ]);
+        await chooser.setFiles(files);
+      }
+    } catch (err) {
+      return { reason: `media upload failed: ${err.message}`, permanent: false };
+    }
+
+    while (Date.now() - startedAt < MEDIA_UPLOAD_TIMEOUT_MS) {
+      // Without a preview selector only the uploading indicator can be waited on.
+      const shown = previews ? await countOf(previews) : before + files.length;
+      const uploading = await countOf(uploadingNow);
+      if (shown >= before + files.length && !uploading) {
+        events.emit("media_upload", { files: files.length, ms: Date.now() - startedAt });
+        return null;
+      }
+      await page.waitForTimeout(500);
+    }
+    return {
+      reason: `media upload did not finish within ${Math.round(MEDIA_UPLOAD_TIMEOUT_MS / 1000)}s`,
+      permanent: false,
+    };
+  }
+
+  // Reloading the page is the one sure way to empty the composer's attachments.
+  async function clearAttachments(page) {
+    if (!leftoverMedia.has(page)) return;
+    console.log("Clearing attachments left in the composer (reloading the page)");
+    await page.reload({ waitUntil: "domcontentloaded" }).catch(() => {});
+    await waitForChain(page, selectors.promptTextarea, { timeout: VISIBLE_TIMEOUT_MS }).catch(() => {});
+    leftoverMedia.delete(page);
+  }
+
+  // Everything before the click: focus, fill the prompt, apply mode/settings and get the
+  // submit button enabled. Each step is appended to `steps` as { step, ok, detail } as it
+  // happens, so a caller still sees how far it got when a step throws (e.g. the fill).
+  // A prompt's media are attached before the settings; if that fails it stops there.
+  // Returns { settings, steps, submitEnabled, failure } (failure: see attachMedia).
+  // With `dryRun` no Enter is ever pressed (it could submit): submit_enabled is reported as is.
+  async function preparePrompt(page, entry, steps = [], { dryRun = false } = {}) {
+    const prompt = entry.text;
+    const settings = resolveGenerationSettings(entry.settings);
+    const record = (step, ok, detail = null) => steps.push({ step, ok, detail });
+    if (Object.keys(entry.settings || {}).length) {
+      const desc = Object.entries(entry.settings).map(([k, v]) => `${k}=${v}`).join(" ");
+      console.log(`Using per-prompt settings: ${desc}`);
+    }
+
+    // Ensure page is active and focused
+    await page.bringToFront().catch(() => {});
+    await page.waitForTimeout(200);
+
+    // Activate the page by clicking on it to ensure it's interactive
+    try {
+      await page.evaluate(() => {
+        window.focus();
+        document.body.focus();
+      });
+    } catch {}
+
+    // Wait for page to be in a ready state
+    try {
+      await page.waitForLoadState('networkidle').catch(() => {});
+    } catch {}
+
+    // Attachments left by a prompt that never went out would be sent with this one.
+    await clearAttachments(page);
+
+    // The first prompt candidate that is on the page (else the first candidate, which fill waits for).
+    const promptChain = await locateChain(page, selectors.promptTextarea, { visible: true });
+    const promptBox = promptChain && promptChain.first();
+
+    // Focus prompt area explicitly to avoid needing user interaction.
+    try {
+      const found = promptBox ? (await promptBox.count()) > 0 : false;
+      if (found) {
+        await promptBox.click({ timeout: 5000, force: true });
+        await page.waitForTimeout(200);
+      }
+      record("focus", found, found ? null : "prompt textarea not found");
+    } catch (err) {
+      record("focus", false, err.message);
+    }
+
+    try {
+      if (!promptBox) throw new Error("No prompt textarea selector configured (SORA_PROMPT is empty)");
+      await promptBox.fill("", { timeout: FILL_TIMEOUT_MS });
+      await promptBox.fill(prompt, { timeout: FILL_TIMEOUT_MS });
+    } catch (err) {
+      record("fill", false, err.message);
+      throw err;
+    }
+    const filled = await promptBox.inputValue().catch(() => null);
+    record("fill", filled === prompt, filled === prompt ? null : "textarea does not hold the prompt");
+
+    // Wait a bit for the UI to register the text
+    await page.waitForTimeout(500);
+
+    // Dismiss any modal/overlay that might intercept clicks.
+    try {
+      await page.keyboard.press("Escape");
+      await page.waitForTimeout(200);
+    } catch {}
+
+    if (entry.media && entry.media.length) {
+      console.log(`Attaching ${entry.media.length} media file(s): ${entry.media.map((f) => path.basename(f)).join(", ")}`);
+      const failure = await attachMedia(page, entry.media);
+      record("media", !failure, failure ? failure.reason : `${entry.media.length} file(s)`);
+      if (failure) return { settings, steps, submitEnabled: false, failure };
+    }
+
+    // Ensure mode is correct (old UI only). This prevents "SORA_MODE=Image" but still submitting video.
+    if (SORA_UI_MODE !== "new") {
+      await ensureModeOldUI(page, settings.mode);
+      await page.waitForTimeout(200);
+      if (settings.mode) record("mode", true, settings.mode);
+    }
+
+    const applyOldUISettings = async () => {
+      await applyChoice(page, settings.mode);
+      await page.waitForTimeout(300);
+      await applyChoice(page, settings.aspect);
+      await page.waitForTimeout(300);
+      await applyChoice(page, settings.resolution);
+      await page.waitForTimeout(300);
+      await applyChoice(page, settings.duration);
+      await page.waitForTimeout(300);
+      await applyVariationsChoice(page, settings.variations, { dryRun });
+      await page.waitForTimeout(500);
+      record("settings", true, "old UI");
+    };
+
+    // Apply settings based on Sora UI mode (keep old/new isolated).
+    try {
+      if (SORA_UI_MODE === "new") {
+        const applied = await applyNewFormatVideoSettings(page, settings);
+        record("settings", applied, applied ? "settings menu" : "settings menu not found");
+      } else if (SORA_UI_MODE === "old") {
+        await applyOldUISettings();
+      } else {
+        // auto: best-effort — attempt old first, and if the new settings menu is present, it will still apply safely.
+        // (We avoid aggressive clicking in new mode by requiring the settings menu to be visible/openable.)
+        const menu = await locateChain(page, selectors.settingsMenu, { visible: true });
+        const menuVisible = menu ? await menu.first().isVisible().catch(() => false) : false;
+        if (menuVisible) {
+          const applied = await applyNewFormatVideoSettings(page, settings);
+          record("settings", applied, applied ? "settings menu" : "settings menu not found");
+        } else {
+          await applyOldUISettings();
+        }
+      }
+    } catch (err) {
+      record("settings", false, err.message);
+    }
+
+    // Close any popovers/dropdowns that might have opened.
+    try {
+      await page.keyboard.press("Escape");
+    } catch {}
+
+    // Some Sora pages disable the submit button until the composer is focused/blurred once.
+    // A small nudge helps avoid "Submit still disabled" loops.
+    try {
+      await page.keyboard.press("Tab");
+      await page.waitForTimeout(150);
+      await page.keyboard.press("Shift+Tab");
+      await page.waitForTimeout(150);
+    } catch {}
+
+    // Try to get the submit button enabled: small loop to press Enter if needed.
+    for (let i = 0; i < 5 && !dryRun; i += 1) {
+      const enabled = await isSubmitEnabled(page);
+      if (enabled) break;
+      try {
+        await page.keyboard.press("Enter");
+      } catch {}
+      await page.waitForTimeout(500);
+    }
+
+    const submitEnabled = await isSubmitEnabled(page);
+    record("submit_enabled", submitEnabled, submitEnabled ? null : "submit button still disabled");
+    return { settings, steps, submitEnabled, failure: null };
+  }
+
+  // Returns { ok, status, taskId, reason, permanent }: `ok` only when the gen request got a
+  // 200, `taskId` when the response body carried a task/generation id, `permanent` when
+  // retrying the prompt cannot help (a missing media file).
+  async function submitPrompt(page, entry) {
+    const { settings, submitEnabled, failure } = await preparePrompt(page, entry);
+    if (failure) {
+      console.log(`Media not attached: ${failure.reason}; skipping submit.`);
+      return { ok: false, reason: failure.reason, permanent: failure.permanent };
+    }
+    if (!submitEnabled) {
+      console.log("Submit still disabled after prompt + settings; skipping submit.");
+      return { ok: false, reason: "submit disabled" };
+    }
+
+    // Observe the backend request/response so we can verify a real submit happened.
+    const reqPromise = waitForGenRequest(page, GEN_REQUEST_TIMEOUT_MS);
+
+    // Try multiple selector strategies
+    const submitSelectors = preferredSubmitSelectors(settings.mode);
+    let clicked = false;
+
+    for (const selector of submitSelectors) {
+      try {
+        const submit = page.locator(selector).first();
+        await submit.waitFor({ state: "visible", timeout: VISIBLE_TIMEOUT_MS });
+        const isEnabled = await isSubmitEnabled(page);
+        if (!isEnabled) {
+          console.log(`Submit button disabled, selector: ${selector}`);
+          continue;
+        }
+
+        // Ensure page is focused before clicking
+        await page.bringToFront().catch(() => {});
+        await page.evaluate(() => {
+          window.focus();
+          document.body.focus();
+        }).catch(() => {});
+        await page.waitForTimeout(200);
+
+        // Try normal click first
+        try {
+          await submit.click({ timeout: CLICK_TIMEOUT_MS });
+          clicked = true;
+          console.log(`Successfully clicked submit with selector: ${selector}`);
+          events.emit("submit_click", { strategy: "normal", selector });
+          break;
+        } catch (err) {
+          console.log(`Normal click failed for ${selector}, trying force click...`);
+        }
+
+        // Try force click
+        try {
+          await submit.click({ timeout: CLICK_TIMEOUT_MS, force: true });
+          clicked = true;
+          console.log(`Successfully force-clicked submit with selector: ${selector}`);
+          events.emit("submit_click", { strategy: "force", selector });
+          break;
+        } catch (err) {
+          console.log(`Force click failed for ${selector}, trying JS click...`);
+        }
+
+        // Try JS click as last resort - with proper event dispatch
+        try {
+          const handle = await submit.elementHandle();
+          if (handle) {
+            await page.evaluate((el) => {
+              el.scrollIntoView({ behavior: 'instant', block: 'center' });
+              // Dispatch proper mouse events to simulate real click
+              const mouseDown = new MouseEvent('mousedown', { bubbles: true, cancelable: true });
+              const mouseUp = new MouseEvent('mouseup', { bubbles: true, cancelable: true });
+              const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+              el.dispatchEvent(mouseDown);
+              el.dispatchEvent(mouseUp);
+              el.dispatchEvent(click);
+            }, handle);
+            clicked = true;
+            console.log(`Successfully JS-clicked submit with selector: ${selector}`);
+            events.emit("submit_click", { strategy: "js", selector });
+            break;
+          }
+        } catch (err) {
+          console.log(`JS click failed for ${selector}`);
+        }
+      } catch (err) {
+        console.log(`Selector ${selector} not found or error: ${err.message}`);
+        continue;
+      }
+    }
+
+    if (!clicked) {
+      throw new Error('Failed to click submit button with all strategies');
+    }
+
+    // If no gen request was observed, try keyboard submit (some UIs require it).
+    let req = await reqPromise;
+    if (!req) {
+      for (const key of ["Meta+Enter", "Enter"]) {
+        console.log(`No gen request observed. Trying keypress: ${key}`);
+        events.emit("submit_click", { strategy: "keyboard", key });
+        const p = waitForGenRequest(page, 5000);
+        try {
+          await page.keyboard.press(key);
+        } catch {}
+        req = await p;
+        if (req) break;
+      }
+    }
+
+    if (!req) {
+      console.log("No /backend/*gen POST request observed after submit attempts.");
+      return { ok: false, reason: "no gen request" };
+    }
+
+    const reqUrl = req.url();
+    console.log(`Gen request: ${req.method()} ${reqUrl}`);
+    events.emit("gen_request", { method: req.method(), url: reqUrl });
+    const res = await page
+      .waitForResponse((r) => r.url() === reqUrl, { timeout: GEN_RESPONSE_TIMEOUT_MS })
+      .catch(() => null);
+
+    if (!res) {
+      console.log("No response observed for gen request.");
+      return { ok: false, reason: "no gen response" };
+    }
+
+    // Keep the task/generation id so the submission can be followed to completion.
+    const body = await res.json().catch(() => null);
+    const taskId = extractGenerationId(body);
+    console.log(`Gen response: ${res.status()} ${res.url()}${taskId ? ` (task ${taskId})` : ""}`);
+    events.emit("gen_response", { status: res.status(), url: res.url(), taskId });
+    const ok = res.status() === 200;
+    // The composer empties itself after a successful submit.
+    if (ok) leftoverMedia.delete(page);
+    return { ok, status: res.status(), taskId, reason: ok ? null : `HTTP ${res.status()}` };
+  }
+
+  async function connectOverCDPWithRetry(debugWs) {
+    let attempt = 0;
+    let delayMs = 1000;
+    const maxDelayMs = 15000;
+
+    while (true) {
+      attempt += 1;
+      try {
+        console.log(`Connecting to Arc via CDP (attempt ${attempt}): ${debugWs}`);
+        // Use a long timeout - Arc can be slow with many tabs/extensions
+        const browser = await chromium.connectOverCDP(debugWs, { timeout: 90000 });
+        console.log(`CDP connected: ${debugWs}`);
+        return browser;
+      } catch (err) {
+        const msg = err?.message ? String(err.message) : String(err);
+        console.log(`CDP connect failed (${debugWs}): ${msg}`);
+      }
+      console.log(`Retrying CDP connect in ${Math.round(delayMs / 1000)}s...`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      delayMs = Math.min(maxDelayMs, Math.round(delayMs * 1.4));
+    }
+  }
+
+  // Launch mode: start Chromium on a persistent profile. Playwright hands back a context,
+  // not a Browser, so wrap it in the few Browser methods the queue uses (contexts,
+  // isConnected, close); close() shuts the browser down.
+  async function launchPersistentBrowser(profileDir) {
+    const dir = path.resolve(profileDir);
+    console.log(`Launching Chromium (${BROWSER_HEADLESS ? "headless" : "headed"}) with profile ${dir}`);
+    const context = await chromium.launchPersistentContext(dir, {
+      headless: BROWSER_HEADLESS,
+      viewport: null,
+      args: BROWSER_ARGS.map(String),
+      ...(BROWSER_EXECUTABLE ? { executablePath: BROWSER_EXECUTABLE } : {}),
+    });
+    let connected = true;
+    context.on("close", () => {
+      connected = false;
+    });
+    return {
+      contexts: () => [context],
+      isConnected: () => connected,
+      close: () => context.close(),
+    };
+  }
+
+  // A worker's browser: attached over CDP (debugWs) or launched (profileDir), per BROWSER_MODE.
+  async function openBrowser({ debugWs, profileDir }) {
+    return BROWSER_MODE === "launch" ? launchPersistentBrowser(profileDir) : connectOverCDPWithRetry(debugWs);
+  }
+
+  return {
+    SORA_HOST,
+    soraTabKind,
+    openBrowser,
+    connectOverCDPWithRetry,
+    launchPersistentBrowser,
+    getSoraPage,
+    getOrCreateDraftsPage,
+    detectInProgressStrategy,
+    readRecentDraftTexts,
+    isSubmitEnabled,
+    isGenEndpoint,
+    preparePrompt,
+    clearAttachments,
+    submitPrompt,
+  };
+}
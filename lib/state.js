@@ -0,0 +1,81 @@
+/**
+ * Durable queue position.
+ *
+ * The main loop only keeps promptIndex/cycle/submitCount in memory, so a crash or
+ * restart would otherwise start over at prompt 1 and resubmit everything. This
+ * module persists that position to a small JSON file after every confirmed submit
+ * (plus a "pending" marker right before each click) so the next start can resume
+ * exactly where the last one stopped.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Bump when the on-disk shape changes; older files are ignored rather than misread.
+export const STATE_VERSION = 1;
+
+export const sha256Hex = (text) =>
+  crypto.createHash("sha256").update(String(text)).digest("hex");
+
+// Short, stable identifier for a prompt's submitted text.
+export const promptHash = (text) => sha256Hex(text).slice(0, 12);
+
+// Hash of one prompt entry ({ text, settings, media }): per-prompt settings and media only
+// contribute when present, so plain prompts keep the same hash as their text.
+export const entryHash = (entry) => {
+  const overrides = entry.media ? { ...entry.settings, media: entry.media } : entry.settings || {};
+  if (!Object.keys(overrides).length) return promptHash(entry.text);
+  return `${promptHash(entry.text)}:${promptHash(JSON.stringify(overrides))}`;
+};
+
+// Identifies "the same batch": same prompts file, same prompts (in order) and the
+// same generation settings. A state file with a different key is never resumed.
+// promptsFile is null for a prompt list handed to the library directly.
+export const computeStateKey = ({ promptsFile, prompts, settings }) =>
+  sha256Hex(
+    JSON.stringify({
+      promptsFile: promptsFile ? path.resolve(promptsFile) : null,
+      prompts: prompts.map(entryHash),
+      settings: settings || {},
+    })
+  ).slice(0, 16);
+
+export const loadQueueState = (file) => {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (!parsed || parsed.version !== STATE_VERSION) return null;
+    return parsed;
+  } catch (err) {
+    console.warn(`Failed to read state file ${file}; ignoring it`, err.message);
+    return null;
+  }
+};
+
+// Write via a temp file + rename so a crash mid-write never leaves a truncated file.
+export const saveQueueState = (file, state) => {
+  if (!file) return;
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(
+    tmp,
+    JSON.stringify({ ...state, version: STATE_VERSION, updatedAt: new Date().toISOString() }, null, 2)
+  );
+  fs.renameSync(tmp, file);
+};
+
+const normalizeForMatch = (text) =>
+  String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+// Drafts tiles only show a (possibly truncated) copy of the prompt, so compare a
+// whitespace-normalized prefix instead of the full text.
+export const draftMatchesPrompt = (draftText, promptText, prefixLen = 60) => {
+  const draft = normalizeForMatch(draftText);
+  const needle = normalizeForMatch(promptText).slice(0, prefixLen);
+  if (!draft || !needle) return false;
+  return draft.includes(needle) || (draft.length >= 20 && needle.startsWith(draft));
+};
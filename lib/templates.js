@@ -0,0 +1,141 @@
+/**
+ * Prompt templates with variable matrices.
+ *
+ * A template item in the prompts file describes many near-identical prompts at once:
+ *
+ *   {
+ *     "template": { "cinematography": { "style": "...", "dialogue": "{{dialogue}}" } },
+ *     "matrix": { "nationality": ["Norwegian", "German"], "room": ["study", "kitchen"] },
+ *     "expand": "cartesian",
+ *     "vars": [{ "dialogue": "..." }, { "dialogue": "..." }],
+ *     "settings": { "aspect": "{{aspect}}" }
+ *   }
+ *
+ * - "matrix": object of value lists. "cartesian" (default) produces every combination,
+ *   "zip" pairs the lists element by element (they must have equal lengths).
+ * - "vars": list of explicit variable sets, one prompt per set.
+ * - When both are given, every "vars" set is combined with every matrix row.
+ *
+ * `{{name}}` placeholders are replaced in every string of "template" and "settings".
+ * A string that is exactly one placeholder takes the raw value, so values may also be
+ * numbers, arrays or objects.
+ */
+
+// Guard against accidental explosions (e.g. a typo turning a list into 100 entries x 5 keys).
+export const MAX_TEMPLATE_EXPANSION = 10000;
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_RE = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+export const isTemplateItem = (item) =>
+  !!item &&
+  typeof item === "object" &&
+  !Array.isArray(item) &&
+  item.template !== undefined &&
+  (item.matrix !== undefined || item.vars !== undefined);
+
+const lookup = (vars, name) => {
+  if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+    const available = Object.keys(vars).join(", ") || "none";
+    throw new Error(`Template placeholder {{${name}}} has no value (available: ${available})`);
+  }
+  return vars[name];
+};
+
+export const renderTemplate = (value, vars) => {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_PLACEHOLDER_RE);
+    if (whole) return lookup(vars, whole[1]);
+    return value.replace(PLACEHOLDER_RE, (_, name) => {
+      const v = lookup(vars, name);
+      return typeof v === "string" ? v : JSON.stringify(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => renderTemplate(v, vars));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = renderTemplate(v, vars);
+    return out;
+  }
+  return value;
+};
+
+const matrixRows = (matrix, mode) => {
+  if (matrix === undefined) return [{}];
+  if (!matrix || typeof matrix !== "object" || Array.isArray(matrix)) {
+    throw new Error(`"matrix" must be an object of value lists`);
+  }
+  const keys = Object.keys(matrix);
+  const lists = keys.map((k) => (Array.isArray(matrix[k]) ? matrix[k] : [matrix[k]]));
+  if (!keys.length) return [{}];
+
+  if (mode === "zip") {
+    const len = lists[0].length;
+    const mismatched = keys.filter((_, i) => lists[i].length !== len);
+    if (mismatched.length) {
+      const sizes = keys.map((k, i) => `${k}=${lists[i].length}`).join(", ");
+      throw new Error(`"zip" expansion needs equal-length lists (${sizes})`);
+    }
+    return Array.from({ length: len }, (_, row) =>
+      Object.fromEntries(keys.map((k, i) => [k, lists[i][row]]))
+    );
+  }
+
+  if (mode !== "cartesian") {
+    throw new Error(`Unknown "expand" mode "${mode}" (expected "cartesian" or "zip")`);
+  }
+  const total = lists.reduce((n, l) => n * l.length, 1);
+  if (total > MAX_TEMPLATE_EXPANSION) {
+    throw new Error(`Matrix expands to ${total} prompts (limit ${MAX_TEMPLATE_EXPANSION})`);
+  }
+  // First key varies slowest, like nested loops in key order.
+  let rows = [{}];
+  keys.forEach((k, i) => {
+    rows = rows.flatMap((row) => lists[i].map((v) => ({ ...row, [k]: v })));
+  });
+  return rows;
+};
+
+/**
+ * Expand a template item into concrete items.
+ * Returns { outputs: [{ item, settings, vars }], summary } where `item` is the rendered
+ * template (string or object) and `settings` the rendered settings block (if any).
+ */
+export const expandTemplateItem = (templateItem) => {
+  const mode = (templateItem.expand || "cartesian").toString().toLowerCase();
+  const sets = templateItem.vars === undefined ? [{}] : templateItem.vars;
+  if (!Array.isArray(sets) || sets.some((s) => !s || typeof s !== "object" || Array.isArray(s))) {
+    throw new Error(`"vars" must be a list of objects`);
+  }
+  const rows = matrixRows(templateItem.matrix, mode);
+  if (sets.length * rows.length > MAX_TEMPLATE_EXPANSION) {
+    throw new Error(
+      `Template expands to ${sets.length * rows.length} prompts (limit ${MAX_TEMPLATE_EXPANSION})`
+    );
+  }
+
+  const outputs = [];
+  for (const set of sets) {
+    for (const row of rows) {
+      const vars = { ...set, ...row };
+      outputs.push({
+        item: renderTemplate(templateItem.template, vars),
+        settings:
+          templateItem.settings === undefined
+            ? undefined
+            : renderTemplate(templateItem.settings, vars),
+        vars,
+      });
+    }
+  }
+
+  const parts = [];
+  if (templateItem.matrix !== undefined) {
+    const dims = Object.entries(templateItem.matrix).map(
+      ([k, v]) => `${k}(${Array.isArray(v) ? v.length : 1})`
+    );
+    parts.push(`${mode} ${dims.join(mode === "zip" ? "+" : "×")}`);
+  }
+  if (templateItem.vars !== undefined) parts.push(`${sets.length} var set(s)`);
+  return { outputs, summary: parts.join(", ") };
+};
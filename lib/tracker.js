@@ -0,0 +1,223 @@
+/**
+ * Generation tracker.
+ *
+ * Follows every confirmed submission from the gen response to a terminal state and keeps
+ * one record per submission in a JSON file:
+ *
+ *   submitted -> running -> succeeded | failed
+ *
+ * Progress comes from two places:
+ * - backend JSON responses the Sora page already makes (task lists/polls): any object whose
+ *   id matches a tracked task and carries a status field updates that record;
+ * - the drafts grid: a tile linking to the task/generation id is "running" while it shows a
+ *   spinner and "succeeded" once the spinner is gone.
+ * Records that never reach a terminal state within the timeout are marked failed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { anyOfChain, locateChain } from "./selector_packs.js";
+
+export const TERMINAL_STATES = ["succeeded", "failed"];
+
+const RUNNING_STATUSES = ["queued", "pending", "running", "processing", "in_progress", "preprocessing", "started"];
+const SUCCEEDED_STATUSES = ["succeeded", "success", "complete", "completed", "finished", "done"];
+const FAILED_STATUSES = ["failed", "failure", "error", "errored", "cancelled", "canceled", "rejected", "blocked"];
+
+const ID_KEYS = ["task_id", "taskId", "generation_id", "generationId", "id"];
+
+export const mapBackendStatus = (raw) => {
+  const s = String(raw || "").trim().toLowerCase();
+  if (RUNNING_STATUSES.includes(s)) return "running";
+  if (SUCCEEDED_STATUSES.includes(s)) return "succeeded";
+  if (FAILED_STATUSES.includes(s)) return "failed";
+  return null;
+};
+
+/**
+ * Pull the task/generation id out of a gen response body. Tries the common top-level keys,
+ * then a nested "task"/"generation" object, then the first entry of a list.
+ */
+export const extractGenerationId = (body) => {
+  if (!body || typeof body !== "object") return null;
+  for (const k of ID_KEYS) {
+    if (typeof body[k] === "string" && body[k]) return body[k];
+  }
+  for (const k of ["task", "generation", "data", "result"]) {
+    const nested = extractGenerationId(body[k]);
+    if (nested) return nested;
+  }
+  for (const k of ["tasks", "generations", "items"]) {
+    if (Array.isArray(body[k]) && body[k].length) {
+      const nested = extractGenerationId(body[k][0]);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// Every object in a JSON tree (bounded depth) that has an id and some status field.
+const findStatusObjects = (node, out = [], depth = 0) => {
+  if (!node || typeof node !== "object" || depth > 8) return out;
+  if (Array.isArray(node)) {
+    for (const v of node) findStatusObjects(v, out, depth + 1);
+    return out;
+  }
+  const id = ID_KEYS.map((k) => node[k]).find((v) => typeof v === "string" && v);
+  const status = node.status ?? node.state;
+  if (id && status !== undefined) out.push({ id, status, node });
+  for (const v of Object.values(node)) {
+    if (v && typeof v === "object") findStatusObjects(v, out, depth + 1);
+  }
+  return out;
+};
+
+const failureReasonOf = (node) => {
+  const reason = node.failure_reason ?? node.failureReason ?? node.error ?? node.error_message;
+  if (!reason) return null;
+  return typeof reason === "string" ? reason : JSON.stringify(reason);
+};
+
+const ms = (from, to) => (from && to ? Date.parse(to) - Date.parse(from) : null);
+
+/**
+ * Create a tracker.
+ * Options:
+ * - file: JSON file holding the records (loaded on start, rewritten on every change)
+ * - timeoutMs: give up on a record after this long without a terminal state
+ * - gridSelector / spinnerSelector: drafts selector chains (lists, tried in order);
+ *   tileSelector: a single selector
+ * - isBackendUrl(url): which responses may carry task status
+ * - onTransition(record): called after every state change
+ */
+export function createGenerationTracker({
+  file,
+  timeoutMs = 30 * 60 * 1000,
+  gridSelector,
+  tileSelector = "[data-index]",
+  spinnerSelector,
+  isBackendUrl = (url) => url.includes("backend/"),
+  onTransition = () => {},
+}) {
+  const records = [];
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+      if (Array.isArray(saved?.records)) records.push(...saved.records);
+    } catch (err) {
+      console.log(`Failed to read tracking file ${file}; starting a new one. ${err.message}`);
+    }
+  }
+
+  const open = () => records.filter((r) => !TERMINAL_STATES.includes(r.state));
+
+  const persist = () => {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ records }, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      console.log(`Failed to write tracking file ${file}: ${err.message}`);
+    }
+  };
+
+  const transition = (record, state, details = {}) => {
+    if (record.state === state || TERMINAL_STATES.includes(record.state)) return false;
+    const at = new Date().toISOString();
+    if (state === "running") record.runningAt = at;
+    if (TERMINAL_STATES.includes(state)) {
+      record.finishedAt = at;
+      record.durations = {
+        queuedMs: ms(record.submittedAt, record.runningAt),
+        runningMs: ms(record.runningAt, at),
+        totalMs: ms(record.submittedAt, at),
+      };
+    }
+    if (details.failureReason) record.failureReason = details.failureReason;
+    if (details.via) record.via = details.via;
+    record.state = state;
+    const label = record.promptIndex == null ? `ad-hoc prompt, run ${record.run}` : `prompt ${record.promptIndex + 1} run ${record.run}`;
+    const took = record.durations?.totalMs != null ? ` after ${Math.round(record.durations.totalMs / 1000)}s` : "";
+    console.log(
+      `Generation ${record.taskId || "(no id)"} (${label}): ${state}${took}${record.failureReason ? ` - ${record.failureReason}` : ""}`
+    );
+    persist();
+    onTransition(record);
+    return true;
+  };
+
+  const onResponse = async (res) => {
+    try {
+      const watching = open().filter((r) => r.taskId);
+      if (!watching.length || !isBackendUrl(res.url())) return;
+      if (!String(res.headers()["content-type"] || "").includes("json")) return;
+      const body = await res.json().catch(() => null);
+      if (!body) return;
+      const byId = new Map(watching.map((r) => [r.taskId, r]));
+      for (const { id, status, node } of findStatusObjects(body)) {
+        const record = byId.get(id);
+        const state = record ? mapBackendStatus(status) : null;
+        if (!state) continue;
+        transition(record, state, { via: "backend", failureReason: state === "failed" ? failureReasonOf(node) : null });
+      }
+    } catch {}
+  };
+
+  return {
+    // Listen to backend responses on a page (submit page and/or drafts page).
+    attach(page) {
+      page.on("response", onResponse);
+    },
+
+    recordSubmission({ promptIndex, cycle, promptHash, taskId, settings, worker = null }) {
+      const record = {
+        taskId: taskId || null,
+        promptIndex,
+        run: cycle + 1,
+        promptHash,
+        settings,
+        worker,
+        state: "submitted",
+        submittedAt: new Date().toISOString(),
+        runningAt: null,
+        finishedAt: null,
+      };
+      records.push(record);
+      persist();
+      return record;
+    },
+
+    // Check the drafts grid for tiles linking to tracked ids, and time out stale records.
+    async poll(draftsPage) {
+      const now = Date.now();
+      for (const record of open()) {
+        if (now - Date.parse(record.submittedAt) > timeoutMs) {
+          transition(record, "failed", { via: "timeout", failureReason: `no terminal state after ${Math.round(timeoutMs / 60000)} min` });
+        }
+      }
+      if (!draftsPage) return;
+      for (const record of open().filter((r) => r.taskId)) {
+        try {
+          const grid = await locateChain(draftsPage, gridSelector);
+          const scope = grid && (await grid.count()) > 0 ? grid.first() : draftsPage;
+          const tile = scope.locator(tileSelector).filter({ has: draftsPage.locator(`a[href*="${record.taskId}"]`) }).first();
+          if ((await tile.count()) === 0) continue;
+          const spinner = anyOfChain(tile, spinnerSelector);
+          const spinning = spinner ? (await spinner.count()) > 0 : false;
+          transition(record, spinning ? "running" : "succeeded", { via: "drafts" });
+        } catch {}
+      }
+    },
+
+    summary() {
+      const counts = {};
+      for (const r of records) counts[r.state] = (counts[r.state] || 0) + 1;
+      return counts;
+    },
+
+    openCount() {
+      return open().length;
+    },
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * End-to-end run of sora_queue.js against the mock site.
+ *
+ * Starts the mock (mock/server.js), launches a headless Chromium with a CDP port and the
+ * mock drafts page open, then runs the queue against it with a small prompts file and
+ * fast timings. Afterwards checks that the queue exited cleanly and that the mock
+ * accepted every prompt exactly once.
+ *
+ *   node mock/e2e.js [--script 200,429,500,200] [--prompts file.json] [--finish-ms 4000]
+ *                    [--launch] [--keep]
+ *
+ * --prompts takes a JSON array of prompt strings (default: three sample prompts).
+ * --launch lets the queue start Chromium itself (BROWSER_MODE=launch) on an empty profile,
+ * so it also has to open the drafts tab.
+ *
+ * Needs Playwright's Chromium (npx playwright install chromium). Working files (state,
+ * logs, downloads) go to a temp directory, removed afterwards unless --keep is given.
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { chromium } from "playwright";
+import { startMockSora } from "./server.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const RUN_TIMEOUT_MS = 180000;
+
+const SAMPLE_PROMPTS = [
+  "Mock run: a paper boat drifting down a rainy street",
+  "Mock run: a lighthouse at dawn, slow aerial orbit",
+  "Mock run: a corgi in sunglasses on a skateboard",
+];
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+};
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+
+const waitForCdp = async (port, timeoutMs = 20000) => {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    try {
+      const res = await fetch(`http://127.0.0.1:${port}/json/version`);
+      if (res.ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  throw new Error(`Chromium did not open its CDP port ${port} within ${timeoutMs}ms`);
+};
+
+// Run the queue as a child process; resolves with its exit code (null on timeout).
+const runQueue = (env) =>
+  new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(ROOT, "sora_queue.js")], {
+      cwd: ROOT,
+      env: { ...process.env, ...env },
+      stdio: "inherit",
+    });
+    const timer = setTimeout(() => {
+      console.log(`[e2e] Queue still running after ${RUN_TIMEOUT_MS / 1000}s; stopping it.`);
+      child.kill("SIGTERM");
+      resolve(null);
+    }, RUN_TIMEOUT_MS);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+  });
+
+const main = async () => {
+  const executable = chromium.executablePath();
+  if (!fs.existsSync(executable)) {
+    throw new Error(`Chromium not found at ${executable}; run "npx playwright install chromium" first.`);
+  }
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sora-e2e-"));
+  const promptsFile = argValue("--prompts", null) || path.join(workDir, "prompts.json");
+  if (!argValue("--prompts", null)) fs.writeFileSync(promptsFile, JSON.stringify(SAMPLE_PROMPTS, null, 2));
+
+  const mock = await startMockSora({
+    port: 0,
+    script: argValue("--script", ""),
+    finishMs: Number(argValue("--finish-ms", 4000)),
+    pollMs: 1000,
+  });
+  console.log(`[e2e] Mock Sora at ${mock.url}`);
+
+  const launch = args.includes("--launch");
+  const cdpPort = await freePort();
+  const browserProc = launch
+    ? null
+    : spawn(
+        executable,
+        [
+          "--headless=new",
+          `--remote-debugging-port=${cdpPort}`,
+          `--user-data-dir=${path.join(workDir, "profile")}`,
+          "--no-first-run",
+          "--no-default-browser-check",
+          `${mock.url}/drafts`,
+        ],
+        { stdio: "ignore" }
+      );
+  const browserEnv = launch
+    ? { BROWSER_MODE: "launch", BROWSER_HEADLESS: "true", BROWSER_PROFILE_DIR: path.join(workDir, "profile") }
+    : { DEBUG_WS: `http://127.0.0.1:${cdpPort}` };
+
+  const failures = [];
+  try {
+    if (!launch) {
+      await waitForCdp(cdpPort);
+      console.log(`[e2e] Headless Chromium CDP on port ${cdpPort}`);
+    }
+
+    const code = await runQueue({
+      ...browserEnv,
+      SORA_DRAFTS_URL: `${mock.url}/drafts`,
+      SORA_UI_MODE: "new",
+      PROMPTS_FILE: promptsFile,
+      PROMPT_FILE_RUNS: "1",
+      RESUME_MODE: "off",
+      STATE_FILE: path.join(workDir, "state.json"),
+      TRACK_FILE: path.join(workDir, "generations.json"),
+      DEAD_LETTER_FILE: path.join(workDir, "dead_letter.jsonl"),
+      DEDUP_LEDGER_FILE: path.join(workDir, "ledger.jsonl"),
+      EVENT_LOG_FILE: path.join(workDir, "events.jsonl"),
+      LOG_FILE: path.join(workDir, "sora.log"),
+      DOWNLOAD_DIR: path.join(workDir, "downloads"),
+      DOWNLOAD_POLL_MS: "5000",
+      DOWNLOAD_DRAIN_MS: "20000",
+      POLL_MS: "500",
+      MIN_SUBMIT_INTERVAL_MS: "500",
+      AFTER_SUBMIT_WAIT_MS: "500",
+      BACKOFF_429_MS: "2000",
+      RETRY_BACKOFF_MS: "1000",
+      STATUS_LOG_EVERY_MS: "5000",
+      CONTROL_PORT: "0",
+    });
+
+    // Compare what the mock saw with the prompts file.
+    const state = mock.state();
+    const accepted = state.requests.filter((r) => r.status === 200).map((r) => r.prompt);
+    const expected = JSON.parse(fs.readFileSync(promptsFile, "utf-8")).map(String);
+    if (code !== 0) failures.push(`queue exited with ${code === null ? "a timeout" : `code ${code}`}`);
+    for (const text of expected) {
+      const n = accepted.filter((a) => a === text).length;
+      if (n !== 1) failures.push(`expected 1 accepted submit for "${text.slice(0, 40)}…", got ${n}`);
+    }
+    console.log(
+      `[e2e] Gen requests: ${state.requests.map((r) => r.step).join(", ") || "none"}; ` +
+        `tasks: ${state.tasks.map((t) => `${t.id}=${t.status}`).join(", ") || "none"}`
+    );
+    if (args.includes("--keep")) console.log(`[e2e] Working files kept in ${workDir}`);
+  } catch (err) {
+    failures.push(err.message);
+  } finally {
+    if (browserProc) browserProc.kill("SIGTERM");
+    await mock.close();
+    if (!args.includes("--keep")) fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (failures.length) {
+    console.log(`[e2e] FAILED:\n- ${failures.join("\n- ")}`);
+    process.exit(1);
+  }
+  console.log("[e2e] PASSED");
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
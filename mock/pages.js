@@ -0,0 +1,229 @@
+/**
+ * HTML for the mock Sora site.
+ *
+ * The markup reproduces just enough of the real pages for the bundled selector packs:
+ * - composer: textarea[placeholder*='Describe'], a submit button with a
+ *   span.sr-only "Create video"/"Create image" label, a settings trigger
+ *   (button[aria-haspopup='menu'] with an svg) opening a radix-style menu with
+ *   Orientation / Duration sub-menus of [role='menuitemradio'] items, and a file input
+ *   whose picks show as blob: thumbnails (aria-busy while "uploading") until the next send;
+ * - old UI ("/"): the activity counter (div.relative.flex.h-7.w-7 > div.font-bold);
+ * - new UI ("/drafts"): the drafts grid at the sora-2025-12 pack's draftsGrid XPath
+ *   (/html/body/main/div[3]/div[1]/div/div/div/div/div[2]/div/div[1]) holding
+ *   [data-index] tiles, newest first. A running tile shows the
+ *   circle[stroke-dashoffset][stroke-dasharray] spinner; a finished one a <video>/<img>
+ *   and a link to /d/<task id>.
+ * The page polls /backend/tasks to redraw, like the real drafts page polling its feed.
+ */
+
+const STYLE = `
+  body { font-family: sans-serif; margin: 0; background: #111; color: #eee; }
+  .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+  .composer { display: flex; gap: 8px; padding: 12px; align-items: flex-start; }
+  .composer textarea { flex: 1; min-height: 60px; }
+  .composer button { min-width: 40px; min-height: 32px; }
+  .attachments img, .attachments video { width: 40px; height: 40px; background: #333; }
+  [role='menu'] { background: #222; border: 1px solid #555; padding: 4px; position: absolute; right: 12px; top: 90px; }
+  [role='menu'][hidden] { display: none; }
+  [role='menuitem'], [role='menuitemradio'] { padding: 4px 8px; cursor: pointer; }
+  [role='menuitemradio'][aria-checked='true'] { font-weight: bold; }
+  .grid { display: grid; grid-template-columns: repeat(4, 160px); gap: 8px; padding: 12px; }
+  [data-index] { position: relative; width: 160px; height: 200px; background: #222; overflow: hidden; }
+  [data-index] video, [data-index] img { width: 160px; height: 120px; background: #333; }
+  .absolute.inset-0.grid.place-items-center { position: absolute; inset: 0; display: grid; place-items: center; }
+  .caption { font-size: 11px; padding: 4px; margin: 0; }
+`;
+
+const composerHtml = ({ withModeButtons }) => `
+  <div class="composer">
+    ${withModeButtons ? `<button type="button" data-mode="Video">Video</button><button type="button" data-mode="Image">Image</button>` : ""}
+    <textarea placeholder="Describe your video..."></textarea>
+    <input type="file" accept="image/*,video/*" multiple>
+    <div class="attachments" id="attachments"></div>
+    <button type="button" id="settings-trigger" aria-haspopup="menu" aria-expanded="false">
+      <svg width="16" height="16" viewBox="0 0 16 16"><path d="M2 4h12M2 12h12" stroke="currentColor"/></svg>
+    </button>
+    <button type="button" id="submit" disabled>
+      <span class="sr-only">Create video</span>
+      <svg width="16" height="16" viewBox="0 0 16 16"><path d="M8 2v12M2 8h12" stroke="currentColor"/></svg>
+    </button>
+    <div data-radix-menu-content role="menu" id="settings-menu" hidden>
+      <div role="menuitem" data-sub="orientation">Orientation <span data-value="orientation">Portrait</span></div>
+      <div role="menuitem" data-sub="duration">Duration <span data-value="duration">10 seconds</span></div>
+    </div>
+    <div role="menu" id="sub-orientation" hidden>
+      <div role="menuitemradio" data-setting="orientation" aria-checked="true">Portrait</div>
+      <div role="menuitemradio" data-setting="orientation" aria-checked="false">Landscape</div>
+      <div role="menuitemradio" data-setting="orientation" aria-checked="false">Square</div>
+    </div>
+    <div role="menu" id="sub-duration" hidden>
+      <div role="menuitemradio" data-setting="duration" aria-checked="false">5 seconds</div>
+      <div role="menuitemradio" data-setting="duration" aria-checked="true">10 seconds</div>
+      <div role="menuitemradio" data-setting="duration" aria-checked="false">15 seconds</div>
+    </div>
+  </div>
+`;
+
+// Shared client script: composer behaviour + polling. `view` is "composer" or "drafts".
+const clientScript = (view, pollMs) => `
+  const settings = { mode: "Video", orientation: "Portrait", duration: "10 seconds" };
+  const textarea = document.querySelector("textarea");
+  const submit = document.getElementById("submit");
+  const menu = document.getElementById("settings-menu");
+  const trigger = document.getElementById("settings-trigger");
+  const subs = { orientation: document.getElementById("sub-orientation"), duration: document.getElementById("sub-duration") };
+  const fileInput = document.querySelector("input[type='file']");
+  const attachments = document.getElementById("attachments");
+
+  fileInput.addEventListener("change", () => {
+    for (const file of fileInput.files) {
+      const tile = document.createElement("div");
+      tile.setAttribute("aria-busy", "true");
+      const preview = document.createElement(file.type.startsWith("video/") ? "video" : "img");
+      preview.src = URL.createObjectURL(file);
+      tile.appendChild(preview);
+      attachments.appendChild(tile);
+      setTimeout(() => tile.removeAttribute("aria-busy"), 300);
+    }
+    fileInput.value = "";
+  });
+
+  const syncSubmit = () => {
+    if (textarea.value.trim()) submit.removeAttribute("disabled");
+    else submit.setAttribute("disabled", "");
+  };
+  textarea.addEventListener("input", syncSubmit);
+
+  const closeMenus = () => {
+    menu.hidden = true;
+    for (const sub of Object.values(subs)) sub.hidden = true;
+    trigger.setAttribute("aria-expanded", "false");
+  };
+  trigger.addEventListener("click", () => {
+    const open = menu.hidden;
+    closeMenus();
+    menu.hidden = !open;
+    trigger.setAttribute("aria-expanded", String(open));
+  });
+  for (const item of menu.querySelectorAll("[data-sub]")) {
+    item.addEventListener("click", () => {
+      for (const sub of Object.values(subs)) sub.hidden = true;
+      subs[item.dataset.sub].hidden = false;
+    });
+  }
+  for (const radio of document.querySelectorAll("[role='menuitemradio']")) {
+    radio.addEventListener("click", () => {
+      const key = radio.dataset.setting;
+      settings[key] = radio.textContent.trim();
+      for (const r of document.querySelectorAll("[data-setting='" + key + "']")) {
+        r.setAttribute("aria-checked", String(r === radio));
+      }
+      menu.querySelector("[data-value='" + key + "']").textContent = settings[key];
+      subs[key].hidden = true;
+    });
+  }
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeMenus();
+    if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      send();
+    }
+  });
+  for (const btn of document.querySelectorAll("[data-mode]")) {
+    btn.addEventListener("click", () => {
+      settings.mode = btn.dataset.mode;
+      submit.querySelector(".sr-only").textContent = btn.dataset.mode === "Image" ? "Create image" : "Create video";
+    });
+  }
+
+  async function send() {
+    const prompt = textarea.value;
+    if (!prompt.trim()) return;
+    const path = settings.mode === "Image" ? "/backend/image_gen" : "/backend/video_gen";
+    try {
+      const res = await fetch(path, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ prompt, ...settings, ...(attachments.children.length ? { media: attachments.children.length } : {}) }),
+      });
+      if (res.ok) {
+        textarea.value = "";
+        attachments.replaceChildren();
+        syncSubmit();
+      }
+    } catch {}
+    refresh();
+  }
+  submit.addEventListener("click", () => {
+    if (!submit.hasAttribute("disabled")) send();
+  });
+
+  const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const spinner = '<div class="absolute inset-0 grid place-items-center"><svg width="32" height="32" viewBox="0 0 32 32">' +
+    '<circle cx="16" cy="16" r="12" fill="none" stroke="white" stroke-width="3" stroke-dasharray="75" stroke-dashoffset="30"></circle></svg></div>';
+  const tileHtml = (task, i) => {
+    const caption = '<p class="caption">' + escapeHtml(task.prompt) + "</p>";
+    if (task.status === "failed") return '<div data-index="' + i + '"><p class="caption">Generation failed</p>' + caption + "</div>";
+    const body =
+      task.status === "succeeded"
+        ? task.kind === "image"
+          ? '<img src="' + task.media + '" alt="' + escapeHtml(task.prompt) + '">'
+          : '<video src="' + task.media + '" title="' + escapeHtml(task.prompt) + '" muted></video>'
+        : spinner;
+    return '<div data-index="' + i + '"><a href="/d/' + task.id + '">' + body + "</a>" + caption + "</div>";
+  };
+
+  async function refresh() {
+    let tasks = [];
+    try {
+      const res = await fetch("/backend/tasks?limit=50");
+      tasks = (await res.json()).tasks || [];
+    } catch {
+      return;
+    }
+    ${
+      view === "drafts"
+        ? `document.getElementById("drafts-grid").innerHTML = tasks.map(tileHtml).join("");`
+        : `const running = tasks.filter((t) => t.status === "queued" || t.status === "running").length;
+    const counter = document.getElementById("activity-counter");
+    counter.hidden = running === 0;
+    counter.querySelector(".font-bold").textContent = String(running);`
+    }
+  }
+  refresh();
+  setInterval(refresh, ${pollMs});
+`;
+
+// Old UI: composer with the activity counter, no drafts grid.
+export const composerPageHtml = ({ pollMs }) => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Sora (mock)</title><style>${STYLE}</style></head>
+<body>
+<main>
+  <div class="relative flex h-7 w-7" id="activity-counter" hidden><div class="font-bold">0</div></div>
+  ${composerHtml({ withModeButtons: true })}
+</main>
+<script>${clientScript("composer", pollMs)}</script>
+</body>
+</html>
+`;
+
+// New UI: composer on top of the drafts grid (wrappers keep the grid at the configured XPath).
+export const draftsPageHtml = ({ pollMs }) => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Drafts - Sora (mock)</title><style>${STYLE}</style></head>
+<body>
+<main>
+  <div><h1>Drafts (mock)</h1></div>
+  <div>${composerHtml({ withModeButtons: false })}</div>
+  <div>
+    <div><div><div><div>
+      <div></div>
+      <div><div><div class="grid" id="drafts-grid"></div></div></div>
+    </div></div></div></div>
+  </div>
+</main>
+<script>${clientScript("drafts", pollMs)}</script>
+</body>
+</html>
+`;
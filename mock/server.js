@@ -0,0 +1,186 @@
+/**
+ * Offline stand-in for the Sora site, for exercising the queue without an account.
+ *
+ *   GET  /, /drafts               composer page (old UI) / drafts page (new UI), see pages.js
+ *   POST /backend/video_gen       create a generation; answered according to the script
+ *   POST /backend/image_gen       same, for image mode
+ *   GET  /backend/tasks           recent tasks, newest first (polled by the pages)
+ *   GET  /media/<task id>.<ext>   placeholder media for finished tasks
+ *   GET  /mock/state              every gen request and task so far (for assertions)
+ *   POST /mock/script             replace the remaining script: { "script": ["200", "429", ...] }
+ *
+ * The script is consumed one entry per gen request; once empty every request succeeds.
+ * Entries:
+ *   "200"        accept; the tile finishes after finishMs
+ *   "fail"       accept, but the generation ends as failed
+ *   "<status>"   answer with that HTTP status (e.g. "429", "500") and create nothing
+ *   "429:<s>"    a 429 with a Retry-After header of <s> seconds
+ *   "drop"       close the connection without answering
+ *
+ * Run standalone: node mock/server.js [--port 8790] [--script 200,429,200] [--finish-ms 8000]
+ */
+
+import http from "http";
+import { pathToFileURL } from "url";
+import { composerPageHtml, draftsPageHtml } from "./pages.js";
+
+// Not real media; enough bytes for the downloader to save something recognisable.
+const PLACEHOLDER_MEDIA = {
+  mp4: { type: "video/mp4", body: Buffer.from("00000018667479706d703432", "hex") },
+  png: { type: "image/png", body: Buffer.from("89504e470d0a1a0a", "hex") },
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+    req.on("error", () => resolve({}));
+  });
+
+export const parseScript = (raw) =>
+  (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Start the mock site. Options:
+ * - port / host: where to listen (port 0 picks a free port)
+ * - script: list (or comma-separated string) of gen responses, see above
+ * - finishMs: how long an accepted generation stays running
+ * - pollMs: how often the pages refresh their tiles
+ * Resolves with { url, server, state(), setScript(list), close() }.
+ */
+export async function startMockSora({ port = 8790, host = "127.0.0.1", script = [], finishMs = 8000, pollMs = 1500 } = {}) {
+  let pending = parseScript(script);
+  const requests = [];
+  const tasks = [];
+
+  const statusOf = (task) => {
+    if (Date.now() - task.createdAt < finishMs) return Date.now() - task.createdAt < 1000 ? "queued" : "running";
+    return task.outcome;
+  };
+  const view = (task) => ({
+    id: task.id,
+    status: statusOf(task),
+    prompt: task.prompt,
+    kind: task.kind,
+    settings: task.settings,
+    created_at: new Date(task.createdAt).toISOString(),
+    media: `/media/${task.id}.${task.kind === "image" ? "png" : "mp4"}`,
+    ...(statusOf(task) === "failed" ? { failure_reason: "mock: scripted failure" } : {}),
+  });
+
+  const handleGen = async (req, res, kind) => {
+    const body = await readJsonBody(req);
+    const step = pending.length ? pending.shift() : "200";
+    const { prompt = "", ...settings } = body;
+    const entry = { at: new Date().toISOString(), kind, step, prompt, settings, status: null, taskId: null };
+    requests.push(entry);
+
+    if (step === "drop") {
+      req.socket.destroy();
+      return;
+    }
+    if (step !== "200" && step !== "fail") {
+      const [code, retryAfter] = step.split(":");
+      entry.status = Number(code) || 500;
+      sendJson(res, entry.status, { error: { message: `mock: scripted ${step}` } }, retryAfter ? { "retry-after": retryAfter } : {});
+      return;
+    }
+    const task = {
+      id: `task_mock${String(tasks.length + 1).padStart(4, "0")}`,
+      prompt,
+      kind,
+      settings,
+      createdAt: Date.now(),
+      outcome: step === "fail" ? "failed" : "succeeded",
+    };
+    tasks.push(task);
+    entry.status = 200;
+    entry.taskId = task.id;
+    sendJson(res, 200, { id: task.id, status: "queued" });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = `${req.method} ${pathname}`;
+    try {
+      if (route === "GET /" || route === "GET /index.html") {
+        res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+        res.end(composerPageHtml({ pollMs }));
+      } else if (route === "GET /drafts") {
+        res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+        res.end(draftsPageHtml({ pollMs }));
+      } else if (route === "POST /backend/video_gen") {
+        await handleGen(req, res, "video");
+      } else if (route === "POST /backend/image_gen") {
+        await handleGen(req, res, "image");
+      } else if (route === "GET /backend/tasks") {
+        sendJson(res, 200, { tasks: tasks.slice().reverse().map(view) });
+      } else if (req.method === "GET" && pathname.startsWith("/media/")) {
+        const media = PLACEHOLDER_MEDIA[pathname.split(".").pop()];
+        if (!media) return sendJson(res, 404, { error: "no such media" });
+        res.writeHead(200, { "content-type": media.type });
+        res.end(media.body);
+      } else if (route === "GET /mock/state") {
+        sendJson(res, 200, { pendingScript: pending, requests, tasks: tasks.map(view) });
+      } else if (route === "POST /mock/script") {
+        pending = parseScript((await readJsonBody(req)).script);
+        sendJson(res, 200, { pendingScript: pending });
+      } else {
+        sendJson(res, 404, { error: `mock: no route for ${route}` });
+      }
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const url = `http://${host}:${server.address().port}`;
+
+  return {
+    url,
+    server,
+    state: () => ({ pendingScript: pending, requests, tasks: tasks.map(view) }),
+    setScript: (next) => {
+      pending = parseScript(next);
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      }),
+  };
+}
+
+// --- CLI ----------------------------------------------------------------------
+
+const argValue = (args, name, fallback) => {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const mock = await startMockSora({
+    port: Number(argValue(args, "--port", 8790)),
+    script: argValue(args, "--script", ""),
+    finishMs: Number(argValue(args, "--finish-ms", 8000)),
+  });
+  console.log(`Mock Sora listening on ${mock.url} (drafts page: ${mock.url}/drafts)`);
+}
@@ -0,0 +1,69 @@
+// Round trip: every prompt written to the dead-letter file loads back, with the dead-letter
+// file as PROMPTS_FILE, as the same entry.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { resolveConfig } from "../lib/config.js";
+import { appendDeadLetter } from "../lib/dead_letter.js";
+import { createPromptLoader } from "../lib/prompts.js";
+
+const FIELDS = ["text", "settings", "id", "priority", "weight", "runs", "media"];
+
+const roundTrip = (dir, file, content, extra = {}) => {
+  const promptsFile = path.join(dir, "sub", file);
+  fs.mkdirSync(path.dirname(promptsFile), { recursive: true });
+  fs.writeFileSync(promptsFile, content);
+  const original = createPromptLoader(resolveConfig({ PROMPTS_FILE: promptsFile, ...extra })).loadPrompts();
+  const deadFile = path.join(dir, `${file}.dead.jsonl`);
+  for (const entry of original) appendDeadLetter(deadFile, entry, { reason: "test", attempts: 4 });
+  const requeued = createPromptLoader(resolveConfig({ PROMPTS_FILE: deadFile, ...extra })).loadPrompts();
+  return { original, requeued };
+};
+
+const assertSameEntries = ({ original, requeued }) => {
+  assert.equal(requeued.length, original.length);
+  original.forEach((entry, i) => {
+    for (const field of FIELDS) assert.deepEqual(requeued[i][field], entry[field], `prompt ${i + 1} ${field}`);
+  });
+};
+
+const withTempDir = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sora-dead-letter-"));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test("CSV prompts keep settings, id, ordering keys and media", () =>
+  withTempDir((dir) => {
+    const csv = [
+      "prompt,aspect,id,priority,weight,runs,media",
+      "A fox in the snow,16:9,fox,5,2,3,refs/fox.png|refs/snow.mp4",
+      "A {{literal}} placeholder,,,,,,",
+    ].join("\n");
+    const result = roundTrip(dir, "prompts.csv", csv);
+    assert.deepEqual(result.original[0].media, [path.join(dir, "sub/refs/fox.png"), path.join(dir, "sub/refs/snow.mp4")]);
+    assertSameEntries(result);
+  }));
+
+test("plain-text prompts come back as text", () =>
+  withTempDir((dir) => {
+    assertSameEntries(roundTrip(dir, "prompts.txt", "First prompt\n---\nSecond {{x}} prompt\n"));
+  }));
+
+test("object prompts and template outputs keep their fields in both object modes", () =>
+  withTempDir((dir) => {
+    const items = [
+      { prompt: "Object prompt", style: "noir", settings: { duration: "10s" }, media: "refs/a.png", id: 7, runs: 0 },
+      { template: "Shot of {{x}}", vars: [{ x: "a cat" }, { x: "a dog" }], id: "shot", media: ["refs/b.png"] },
+      { template: { prompt: "Wide {{x}}" }, matrix: { x: ["hills", "sea"] }, priority: -1 },
+    ];
+    for (const mode of ["full", "prompt"]) {
+      assertSameEntries(roundTrip(dir, `prompts-${mode}.json`, JSON.stringify(items), { PROMPT_OBJECT_MODE: mode }));
+    }
+  }));
@@ -0,0 +1,100 @@
+// Prompt identity across hot reloads: diffPrompts matches prompts by id or content, so
+// inserts and removals do not shift the others.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { describePromptDiff, diffPrompts, promptIdentities } from "../lib/prompt_identity.js";
+
+const entry = (text, extra = {}) => ({ text, settings: {}, ...extra });
+
+test("identities come from the id, else the text and settings, with repeats numbered", () => {
+  const ids = promptIdentities([
+    entry("a"),
+    entry("a"),
+    entry("a", { settings: { aspect: "16:9" } }),
+    entry("b", { id: "intro" }),
+  ]);
+  assert.equal(ids[0].startsWith("hash:"), true);
+  assert.equal(ids[1], `${ids[0]}#2`);
+  assert.notEqual(ids[2], ids[0]);
+  assert.equal(ids[3], "id:intro");
+});
+
+test("an unchanged file matches every prompt to itself", () => {
+  const prompts = [entry("a"), entry("b", { id: "x" })];
+  assert.deepEqual(diffPrompts(prompts, prompts.map((p) => ({ ...p }))), {
+    matches: [0, 1],
+    added: [],
+    removed: [],
+    changed: [],
+    unchanged: 2,
+  });
+});
+
+test("inserting and removing prompts does not shift the others", () => {
+  const before = [entry("a"), entry("b"), entry("c")];
+  const after = [entry("new"), entry("a"), entry("c")];
+  assert.deepEqual(diffPrompts(before, after), {
+    matches: [null, 0, 2],
+    added: [0],
+    removed: [1],
+    changed: [],
+    unchanged: 2,
+  });
+});
+
+test("reordering keeps every match", () => {
+  const before = [entry("a"), entry("b"), entry("c")];
+  const after = [entry("c"), entry("a"), entry("b")];
+  assert.deepEqual(diffPrompts(before, after).matches, [2, 0, 1]);
+});
+
+test("edited text is a new prompt without an id and a changed one with it", () => {
+  const before = [entry("a"), entry("b", { id: "x" })];
+  const after = [entry("a, edited"), entry("b, edited", { id: "x" })];
+  assert.deepEqual(diffPrompts(before, after), {
+    matches: [null, null],
+    added: [0],
+    removed: [0],
+    changed: [{ from: 1, to: 1 }],
+    unchanged: 0,
+  });
+});
+
+test("changed settings or media count like changed text", () => {
+  const before = [entry("a", { id: "x" }), entry("b")];
+  const after = [
+    entry("a", { id: "x", media: ["/tmp/ref.png"] }),
+    entry("b", { settings: { duration: "10s" } }),
+  ];
+  const diff = diffPrompts(before, after);
+  assert.deepEqual(diff.changed, [{ from: 0, to: 0 }]);
+  assert.deepEqual(diff.added, [1]);
+  assert.deepEqual(diff.removed, [1]);
+});
+
+test("repeated prompts match copy by copy", () => {
+  const before = [entry("a"), entry("a"), entry("b")];
+  const after = [entry("a"), entry("b")];
+  assert.deepEqual(diffPrompts(before, after), {
+    matches: [0, 2],
+    added: [],
+    removed: [1],
+    changed: [],
+    unchanged: 2,
+  });
+});
+
+test("describePromptDiff summarises the diff and lists up to `max` prompts per kind", () => {
+  const before = [entry("a"), entry("b", { id: "x", where: "line 2" })];
+  const after = [entry("b, edited", { id: "x", where: "line 1" }), entry("c"), entry("d"), entry("e")];
+  const lines = describePromptDiff(diffPrompts(before, after), before, after, { max: 2 });
+  assert.deepEqual(lines, [
+    "Prompts reloaded from file: 3 added, 1 removed, 1 changed, 0 unchanged (4 prompt(s)).",
+    "  + prompt 2: c",
+    "  + prompt 3: d",
+    "  + … and 1 more",
+    "  - prompt 1: a",
+    "  ~ prompt 1 [line 1] (was prompt 2), id x: b, edited",
+  ]);
+});
@@ -0,0 +1,56 @@
+// Prompt ordering: which prompt goes next by pass, priority and weight, and when a prompt
+// has used its runs.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { maxRuns, pickNextPrompt, planPrompts, plannedTurns, remainingTurns } from "../lib/prompt_order.js";
+
+const prompts = (...orders) => orders.map((order, i) => ({ text: `prompt ${i + 1}`, ...order }));
+
+// Prompt numbers (1-based) in the order they would be submitted.
+const sequence = (entries, defaultRuns, done = [], limit = 50) =>
+  planPrompts(entries, done, defaultRuns, limit).map((pick) => pick.index + 1);
+
+test("with the defaults prompts go in file order, pass after pass", () => {
+  const entries = prompts({}, {}, {});
+  assert.deepEqual(sequence(entries, 2), [1, 2, 3, 1, 2, 3]);
+  assert.deepEqual(pickNextPrompt(entries, [1, 1, 0], 2), { index: 2, pass: 0 });
+  assert.deepEqual(pickNextPrompt(entries, [1, 1, 1], 2), { index: 0, pass: 1 });
+  assert.equal(pickNextPrompt(entries, [2, 2, 2], 2), null);
+});
+
+test("higher priority goes first within a pass, never ahead of an earlier pass", () => {
+  const entries = prompts({}, { priority: 5 }, { priority: -1 });
+  assert.deepEqual(sequence(entries, 2), [2, 1, 3, 2, 1, 3]);
+  // Prompt 2 has had its turn this pass: the others finish the pass before it goes again.
+  assert.deepEqual(pickNextPrompt(entries, [0, 1, 0], 2), { index: 0, pass: 0 });
+});
+
+test("weight gives a prompt that many turns per pass, spread over the pass", () => {
+  const entries = prompts({ weight: 3 }, {});
+  assert.deepEqual(sequence(entries, 1), [1, 2, 1, 1]);
+  assert.deepEqual(sequence(entries, 2), [1, 2, 1, 1, 1, 2, 1, 1]);
+  assert.deepEqual(pickNextPrompt(entries, [3, 0], 2), { index: 1, pass: 0 });
+});
+
+test("a prompt's own runs override the default and null runs never finish", () => {
+  const entries = prompts({ runs: 3 }, {}, { runs: 0 });
+  assert.deepEqual(sequence(entries, 1), [1, 2, 1, 1]);
+  assert.deepEqual(sequence(prompts({}, { runs: 1 }), null, [], 5), [1, 2, 1, 1, 1]);
+});
+
+test("turn totals and the most runs follow weight and runs", () => {
+  const entries = prompts({ weight: 2 }, { runs: 3 }, {});
+  assert.equal(plannedTurns(entries, 2), 4 + 3 + 2);
+  assert.equal(remainingTurns(entries, [1, 3, 5], 2), 3);
+  assert.equal(maxRuns(entries, 2), 3);
+  assert.equal(plannedTurns(entries, null), null);
+  assert.equal(remainingTurns(entries, [], null), null);
+  assert.equal(maxRuns(prompts({ runs: 1 }), null), 1);
+});
+
+test("planPrompts does not change the done counts it is given", () => {
+  const done = [1, 0];
+  planPrompts(prompts({}, {}), done, 3, 10);
+  assert.deepEqual(done, [1, 0]);
+});
@@ -0,0 +1,129 @@
+// Submission quotas: rolling and calendar hour/day windows, and slots reserved through the
+// shared quota file.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createQuotaTracker } from "../lib/quota.js";
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+const withQuotaFile = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sora-quota-"));
+  try {
+    await fn(path.join(dir, "quota.json"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const tracker = (file, overrides = {}) =>
+  createQuotaTracker({
+    QUOTA_FILE: file,
+    QUOTA_PER_HOUR: 0,
+    QUOTA_PER_DAY: 0,
+    QUOTA_WINDOW: "rolling",
+    SCHEDULE_TIMEZONE: "",
+    ...overrides,
+  });
+
+const reserveAll = async (quotas, account, times) => {
+  for (const t of times) assert.equal((await quotas.reserve(account, t)).ok, true);
+};
+
+test("without limits every submit is allowed and nothing is written", async () => {
+  await withQuotaFile(async (file) => {
+    const quotas = tracker(file);
+    assert.equal(quotas.enabled, false);
+    assert.equal((await quotas.reserve("main")).ok, true);
+    assert.deepEqual(quotas.check("main"), { ok: true });
+    assert.equal(fs.existsSync(file), false);
+  });
+});
+
+test("rolling hour: a slot frees up an hour after the oldest submit in the window", async () => {
+  await withQuotaFile(async (file) => {
+    const quotas = tracker(file, { QUOTA_PER_HOUR: 2 });
+    const t0 = Date.UTC(2026, 2, 10, 9, 50);
+    await reserveAll(quotas, "main", [t0, t0 + 20 * MINUTE]);
+    const blocked = await quotas.reserve("main", t0 + 30 * MINUTE);
+    assert.equal(blocked.ok, false);
+    assert.deepEqual(
+      { window: blocked.window, used: blocked.used, limit: blocked.limit, resetAt: blocked.resetAt },
+      { window: "hour", used: 2, limit: 2, resetAt: t0 + HOUR }
+    );
+    assert.equal(quotas.check("main", t0 + HOUR - 1).ok, false);
+    assert.equal(quotas.check("main", t0 + HOUR).ok, true);
+    // Accounts are counted apart.
+    assert.equal(quotas.check("other", t0 + 30 * MINUTE).ok, true);
+  });
+});
+
+test("rolling day: the daily limit blocks past the hourly one and reports the later reset", async () => {
+  await withQuotaFile(async (file) => {
+    const quotas = tracker(file, { QUOTA_PER_HOUR: 2, QUOTA_PER_DAY: 3 });
+    const t0 = Date.UTC(2026, 2, 10, 8, 0);
+    await reserveAll(quotas, "main", [t0, t0 + 2 * HOUR, t0 + 2 * HOUR + MINUTE]);
+    const blocked = quotas.check("main", t0 + 2 * HOUR + 2 * MINUTE);
+    assert.equal(blocked.window, "day");
+    assert.equal(blocked.resetAt, t0 + 24 * HOUR);
+    assert.deepEqual(
+      quotas.usage("main", t0 + 2 * HOUR + 2 * MINUTE).map((u) => [u.window, u.used]),
+      [["hour", 2], ["day", 3]]
+    );
+  });
+});
+
+test("calendar hour resets on the clock hour of SCHEDULE_TIMEZONE", async () => {
+  await withQuotaFile(async (file) => {
+    // Kolkata is UTC+5:30, so its clock hours start at :30 UTC.
+    const quotas = tracker(file, { QUOTA_PER_HOUR: 1, QUOTA_WINDOW: "calendar", SCHEDULE_TIMEZONE: "Asia/Kolkata" });
+    const t0 = Date.UTC(2026, 2, 10, 10, 40);
+    await reserveAll(quotas, "main", [t0]);
+    assert.equal(quotas.check("main", t0 + 10 * MINUTE).resetAt, Date.UTC(2026, 2, 10, 11, 30));
+    assert.equal(quotas.check("main", Date.UTC(2026, 2, 10, 11, 30)).ok, true);
+  });
+});
+
+test("calendar day starts at midnight in SCHEDULE_TIMEZONE, across a DST change", async () => {
+  await withQuotaFile(async (file) => {
+    const quotas = tracker(file, { QUOTA_PER_DAY: 1, QUOTA_WINDOW: "calendar", SCHEDULE_TIMEZONE: "America/New_York" });
+    // A submit at 23:30 EST on 7 March; the next day starts at 00:00 EST (05:00 UTC).
+    const lateEvening = Date.UTC(2026, 2, 8, 4, 30);
+    await reserveAll(quotas, "main", [lateEvening]);
+    assert.equal(quotas.check("main", lateEvening + 20 * MINUTE).resetAt, Date.UTC(2026, 2, 8, 5, 0));
+    // 8 March is 23 hours long (clocks jump 02:00 EST -> 03:00 EDT): it ends at 00:00 EDT (04:00 UTC).
+    const morning = Date.UTC(2026, 2, 8, 14, 0); // 10:00 EDT
+    await reserveAll(quotas, "main", [morning]);
+    assert.equal(quotas.check("main", morning + HOUR).resetAt, Date.UTC(2026, 2, 9, 4, 0));
+  });
+});
+
+test("two trackers on one file cannot both take the last slot", async () => {
+  await withQuotaFile(async (file) => {
+    const a = tracker(file, { QUOTA_PER_HOUR: 2 });
+    const b = tracker(file, { QUOTA_PER_HOUR: 2 });
+    const t0 = Date.UTC(2026, 2, 10, 9, 0);
+    await reserveAll(a, "main", [t0]);
+    assert.equal(a.check("main", t0 + 1).ok, true);
+    assert.equal(b.check("main", t0 + 1).ok, true);
+    const results = await Promise.all([a.reserve("main", t0 + 2), b.reserve("main", t0 + 3)]);
+    assert.deepEqual(results.map((r) => r.ok).sort(), [false, true]);
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+  });
+});
+
+test("release gives a reserved slot back", async () => {
+  await withQuotaFile(async (file) => {
+    const quotas = tracker(file, { QUOTA_PER_HOUR: 1 });
+    const t0 = Date.UTC(2026, 2, 10, 9, 0);
+    const slot = await quotas.reserve("main", t0);
+    assert.equal(quotas.check("main", t0 + 1).ok, false);
+    await quotas.release("main", slot.at);
+    assert.equal(quotas.check("main", t0 + 1).ok, true);
+    assert.equal((await quotas.reserve("main", t0 + 2)).ok, true);
+  });
+});
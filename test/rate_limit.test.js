@@ -0,0 +1,134 @@
+// Rate-limit policy: reading reset hints, escalating the backoff on 429s in a row and
+// resetting it after BACKOFF_429_RESET_AFTER successes.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createRateLimiter, parseDuration, parseRetryHint } from "../lib/rate_limit.js";
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+const CONFIG = {
+  BACKOFF_429_MS: 60000,
+  BACKOFF_429_MAX_MS: 300000,
+  BACKOFF_429_FACTOR: 2,
+  BACKOFF_429_JITTER: 0.2,
+  BACKOFF_429_RESET_AFTER: 3,
+  MIN_SUBMIT_INTERVAL_MS: 10000,
+  MIN_SUBMIT_INTERVAL_MAX_MS: 30000,
+};
+
+// random() = 0.5 puts the jitter spread at 0 (a hint gets +10% of BACKOFF_429_JITTER's 20%).
+const limiter = (overrides = {}, random = () => 0.5) => createRateLimiter({ ...CONFIG, ...overrides }, { random });
+
+test("parseDuration reads bare seconds and unit strings", () => {
+  assert.equal(parseDuration("30"), 30000);
+  assert.equal(parseDuration("1.5s"), 1500);
+  assert.equal(parseDuration("200ms"), 200);
+  assert.equal(parseDuration("1h2m3s"), 3723000);
+  assert.equal(parseDuration("soon"), null);
+});
+
+test("parseRetryHint prefers headers in order, then the body and body.error", () => {
+  assert.deepEqual(parseRetryHint({ headers: { "retry-after": "120", "retry-after-ms": "1500" }, now: NOW }), {
+    ms: 1500,
+    source: "header retry-after-ms",
+  });
+  assert.deepEqual(parseRetryHint({ headers: { "retry-after": "120" }, now: NOW }), {
+    ms: 120000,
+    source: "header retry-after",
+  });
+  assert.deepEqual(
+    parseRetryHint({ headers: { "retry-after": new Date(NOW + 90000).toUTCString() }, now: NOW }),
+    { ms: 90000, source: "header retry-after" }
+  );
+  assert.deepEqual(parseRetryHint({ headers: { "x-ratelimit-reset": String(NOW / 1000 + 45) }, now: NOW }), {
+    ms: 45000,
+    source: "header x-ratelimit-reset",
+  });
+  assert.deepEqual(parseRetryHint({ body: { error: { retry_after: "6m0s" } }, now: NOW }), {
+    ms: 360000,
+    source: "body error.retry_after",
+  });
+  assert.deepEqual(parseRetryHint({ body: { reset_at: new Date(NOW + 30000).toISOString() }, now: NOW }), {
+    ms: 30000,
+    source: "body reset_at",
+  });
+});
+
+test("parseRetryHint ignores hints in the past, unreadable or over a day away", () => {
+  assert.equal(parseRetryHint({ headers: { "retry-after": new Date(NOW - 1000).toUTCString() }, now: NOW }), null);
+  assert.equal(parseRetryHint({ headers: { "retry-after": "later" }, now: NOW }), null);
+  assert.equal(parseRetryHint({ body: { retry_after: 2 * 86400 }, now: NOW }), null);
+  assert.deepEqual(parseRetryHint({ headers: { "retry-after": "later" }, body: { retry_after: 5 }, now: NOW }), {
+    ms: 5000,
+    source: "body retry_after",
+  });
+  assert.equal(parseRetryHint({}), null);
+});
+
+test("a hint is honored and jitter only lengthens it", () => {
+  const decision = limiter().onRateLimited({ ms: 100000, source: "header retry-after" }, NOW);
+  assert.equal(decision.delayMs, 110000);
+  assert.equal(decision.until, NOW + 110000);
+  assert.equal(decision.source, "header retry-after");
+  assert.equal(decision.hintMs, 100000);
+  assert.equal(limiter({}, () => 0).onRateLimited({ ms: 100000, source: "x" }, NOW).delayMs, 100000);
+});
+
+test("without a hint the backoff doubles per 429 in a row up to the cap", () => {
+  const rl = limiter();
+  const delays = [1, 2, 3, 4, 5].map(() => rl.onRateLimited(null, NOW).delayMs);
+  assert.deepEqual(delays, [60000, 120000, 240000, 300000, 300000]);
+  assert.equal(rl.state().consecutive429, 5);
+});
+
+test("jitter spreads the escalated backoff by up to BACKOFF_429_JITTER either way", () => {
+  assert.equal(limiter({}, () => 0).onRateLimited(null, NOW).delayMs, 48000);
+  assert.equal(limiter({}, () => 0.999999).onRateLimited(null, NOW).delayMs, 72000);
+});
+
+test("the submit interval widens from the second 429 in a row, within its ceiling", () => {
+  const rl = limiter();
+  assert.equal(rl.onRateLimited(null, NOW).interval, null);
+  assert.deepEqual(
+    [2, 3, 4, 5].map(() => rl.onRateLimited(null, NOW).interval?.toMs ?? null),
+    [15000, 22500, 30000, null]
+  );
+  assert.equal(rl.state().submitIntervalMs, 30000);
+});
+
+test("BACKOFF_429_RESET_AFTER successes in a row reset the escalation and relax the interval", () => {
+  const rl = limiter();
+  rl.onRateLimited(null, NOW);
+  rl.onRateLimited(null, NOW);
+  assert.equal(rl.state().submitIntervalMs, 15000);
+  assert.equal(rl.onResponse(true), null);
+  assert.equal(rl.onResponse(true), null);
+  const relaxed = rl.onResponse(true);
+  assert.equal(relaxed.reset, true);
+  assert.deepEqual({ fromMs: relaxed.interval.fromMs, toMs: relaxed.interval.toMs }, { fromMs: 15000, toMs: 10000 });
+  assert.deepEqual(rl.state(), { consecutive429: 0, submitIntervalMs: 10000 });
+  // The escalation starts over.
+  assert.equal(rl.onRateLimited(null, NOW).delayMs, 60000);
+});
+
+test("an error or a 429 breaks the run of successes", () => {
+  const rl = limiter();
+  rl.onRateLimited(null, NOW);
+  rl.onResponse(true);
+  rl.onResponse(true);
+  assert.equal(rl.onResponse(false), null);
+  rl.onResponse(true);
+  rl.onResponse(true);
+  rl.onRateLimited(null, NOW);
+  rl.onResponse(true);
+  rl.onResponse(true);
+  assert.equal(rl.state().consecutive429, 2);
+  assert.equal(rl.onResponse(true).reset, true);
+});
+
+test("successes change nothing when there is nothing to relax", () => {
+  const rl = limiter();
+  for (let i = 0; i < 6; i++) assert.equal(rl.onResponse(true), null);
+  assert.deepEqual(rl.state(), { consecutive429: 0, submitIntervalMs: 10000 });
+});
@@ -0,0 +1,117 @@
+// Submit schedule: parsing windows, where a moment stands against them (in
+// SCHEDULE_TIMEZONE, across DST changes) and the drain period before a window closes.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSchedule, formatWait, parseSchedule } from "../lib/schedule.js";
+
+const MINUTE = 60000;
+
+const schedule = (windows, { timeZone = "UTC", drain = 0 } = {}) =>
+  createSchedule({ SCHEDULE: windows, SCHEDULE_TIMEZONE: timeZone, SCHEDULE_DRAIN_MINUTES: drain });
+
+test("parseSchedule reads days, ranges, aliases and clock times", () => {
+  const [weeknights, weekend, daily] = parseSchedule(["Mon-Fri 01:00-07:00", "sat,sun 22:00-06:00", "00:00-24:00"]);
+  assert.deepEqual([...weeknights.days].sort(), [1, 2, 3, 4, 5]);
+  assert.deepEqual([weeknights.start, weeknights.end], [60, 420]);
+  assert.deepEqual([...weekend.days].sort(), [0, 6]);
+  assert.deepEqual([weekend.start, weekend.end], [1320, 360]);
+  assert.deepEqual([...daily.days].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...parseSchedule(["Fri-Mon 09:00-10:00"])[0].days].sort(), [0, 1, 5, 6]);
+  assert.deepEqual([...parseSchedule(["weekdays 09:00-17:00"])[0].days].sort(), [1, 2, 3, 4, 5]);
+});
+
+test("parseSchedule rejects malformed windows", () => {
+  assert.throws(() => parseSchedule(["Mon-Fri"]), /not a window/);
+  assert.throws(() => parseSchedule(["Funday 01:00-02:00"]), /unknown day "funday"/);
+  assert.throws(() => parseSchedule(["01:60-02:00"]), /bad time "01:60"/);
+  assert.throws(() => parseSchedule(["24:00-02:00"]), /cannot start at 24:00/);
+});
+
+test("without windows the queue always submits", () => {
+  const s = schedule([]);
+  assert.equal(s.enabled, false);
+  assert.deepEqual(s.state(Date.UTC(2026, 0, 5, 3, 0)), {
+    open: true,
+    submitting: true,
+    draining: false,
+    closesAt: null,
+    nextOpenAt: null,
+  });
+});
+
+test("inside and outside a weekday window", () => {
+  const s = schedule(["Mon-Fri 01:00-07:00"]);
+  // 5 January 2026 is a Monday.
+  const inside = s.state(Date.UTC(2026, 0, 5, 3, 0));
+  assert.equal(inside.open, true);
+  assert.equal(inside.submitting, true);
+  assert.equal(inside.closesAt, Date.UTC(2026, 0, 5, 7, 0));
+  assert.equal(inside.nextOpenAt, Date.UTC(2026, 0, 6, 1, 0));
+  const after = s.state(Date.UTC(2026, 0, 5, 7, 0));
+  assert.equal(after.open, false);
+  assert.equal(after.submitting, false);
+  assert.equal(after.nextOpenAt, Date.UTC(2026, 0, 6, 1, 0));
+  // Friday evening: the next window is Monday's.
+  assert.equal(s.state(Date.UTC(2026, 0, 9, 20, 0)).nextOpenAt, Date.UTC(2026, 0, 12, 1, 0));
+});
+
+test("a window past midnight belongs to the day it starts and runs into the next", () => {
+  const s = schedule(["Sat 22:00-06:00"]);
+  // Sunday 10 January 2026, 05:00: still inside Saturday's window.
+  const sundayEarly = s.state(Date.UTC(2026, 0, 11, 5, 0));
+  assert.equal(sundayEarly.open, true);
+  assert.equal(sundayEarly.closesAt, Date.UTC(2026, 0, 11, 6, 0));
+  // Sunday 22:00 opens nothing.
+  assert.equal(s.state(Date.UTC(2026, 0, 11, 22, 30)).open, false);
+});
+
+test("overlapping and touching windows merge", () => {
+  const s = schedule(["Mon 01:00-03:00", "Mon 02:00-04:00", "Mon 04:00-05:00"]);
+  assert.equal(s.state(Date.UTC(2026, 0, 5, 1, 30)).closesAt, Date.UTC(2026, 0, 5, 5, 0));
+});
+
+test("drain stops new submits before a window closes but keeps it open", () => {
+  const s = schedule(["Mon 01:00-07:00"], { drain: 30 });
+  const before = s.state(Date.UTC(2026, 0, 5, 6, 29));
+  assert.equal(before.draining, false);
+  assert.equal(before.submitting, true);
+  const draining = s.state(Date.UTC(2026, 0, 5, 6, 30));
+  assert.deepEqual(
+    { open: draining.open, submitting: draining.submitting, draining: draining.draining },
+    { open: true, submitting: false, draining: true }
+  );
+  assert.equal(s.state(Date.UTC(2026, 0, 5, 7, 0)).draining, false);
+});
+
+test("windows follow SCHEDULE_TIMEZONE", () => {
+  const s = schedule(["Mon 09:00-10:00"], { timeZone: "Asia/Tokyo" });
+  // 09:30 in Tokyo (UTC+9) on Monday 5 January 2026 is 00:30 UTC.
+  const inside = s.state(Date.UTC(2026, 0, 5, 0, 30));
+  assert.equal(inside.open, true);
+  assert.equal(inside.closesAt, Date.UTC(2026, 0, 5, 1, 0));
+  assert.equal(s.state(Date.UTC(2026, 0, 5, 9, 30)).open, false);
+});
+
+test("windows keep their wall-clock times across DST changes", () => {
+  const s = schedule(["daily 09:00-10:00"], { timeZone: "Europe/Berlin" });
+  // Clocks go forward on 29 March 2026: 09:00 is 08:00 UTC before, 07:00 UTC after.
+  assert.equal(s.state(Date.UTC(2026, 2, 28, 8, 30)).open, true);
+  assert.equal(s.state(Date.UTC(2026, 2, 28, 9, 30)).nextOpenAt, Date.UTC(2026, 2, 29, 7, 0));
+  assert.equal(s.state(Date.UTC(2026, 2, 29, 7, 30)).closesAt, Date.UTC(2026, 2, 29, 8, 0));
+});
+
+test("a window starting in the hour DST skips opens right after the jump", () => {
+  const s = schedule(["Sun 02:30-04:00"], { timeZone: "Europe/Berlin" });
+  // 29 March 2026: 02:00 CET -> 03:00 CEST (01:00 UTC); 02:30 does not exist that day.
+  const slot = s.state(Date.UTC(2026, 2, 28, 12, 0));
+  assert.equal(slot.nextOpenAt, Date.UTC(2026, 2, 29, 1, 30));
+  assert.equal(s.state(Date.UTC(2026, 2, 29, 1, 45)).closesAt, Date.UTC(2026, 2, 29, 2, 0));
+});
+
+test("formatWait rounds up to minutes", () => {
+  const now = Date.UTC(2026, 0, 5, 0, 0);
+  assert.equal(formatWait(now + 30 * 1000, now), "1m");
+  assert.equal(formatWait(now + 12 * MINUTE, now), "12m");
+  assert.equal(formatWait(now + 185 * MINUTE, now), "3h05m");
+});